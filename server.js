@@ -1,16 +1,56 @@
 import express from "express";
 import axios from "axios";
 import OpenAI from "openai";
+import FormData from "form-data";
 
 const app = express();
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // сырое тело нужно для проверки подписи X-Hub-Signature-256
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // ===== CONFIG =====
 const VERIFY_TOKEN = process.env.WHATSAPP_VERIFY_TOKEN;
 const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
 const WHATSAPP_PHONE_ID = process.env.WHATSAPP_PHONE_ID;
+const WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET; // App Secret из Meta — подпись вебхука
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const KB_FILES = "./kb"; // папка с файлами SOL (мы подключим позже)
+const SCHEDULE_DIR = process.env.SCHEDULE_DIR || "./schedules"; // локальные CSV / <телефон>.ics
+const SCHEDULE_URLS = process.env.SCHEDULE_URLS || ""; // "url" (CSV) или "телефон=url" (ICS), через запятую
+const SCHEDULE_TTL_MS = Number(process.env.SCHEDULE_TTL_MINUTES || 15) * 60 * 1000;
+const REMINDER_TICK_MS = Number(process.env.REMINDER_TICK_SECONDS || 60) * 1000;
+const REMINDER_DEFAULT_LEAD_MINUTES = Number(process.env.REMINDER_DEFAULT_LEAD_MINUTES || 120);
+// шаблоны WhatsApp для сообщений вне 24-часового окна (одна переменная {{1}} — текст)
+const WA_TEMPLATE_SHIFT_REMINDER = process.env.WA_TEMPLATE_SHIFT_REMINDER || "shift_reminder";
+const WA_TEMPLATE_SHIFT_CHANGED = process.env.WA_TEMPLATE_SHIFT_CHANGED || "shift_changed";
+const EMPLOYEES_FILE = process.env.EMPLOYEES_FILE || "./data/employees.json";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN; // Bearer-токен для /admin/*
+const STATE_STORE = process.env.STATE_STORE || "file"; // "file" | "memory" (для тестов)
+const STATE_FILE = process.env.STATE_FILE || "./data/state.json";
+const HISTORY_MAX_MESSAGES = Number(process.env.HISTORY_MAX_MESSAGES || 20); // на пользователя
+const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS || 30);
+const KB_INDEX_FILE = process.env.KB_INDEX_FILE || "./data/kb-index.json"; // кэш embeddings на диске
+const KB_MIN_SIMILARITY = Number(process.env.KB_MIN_SIMILARITY || 0.3); // ниже — кусок не по теме
+const KB_MIN_BM25 = Number(process.env.KB_MIN_BM25 || 3);               // или совпадение по словам не слабее
+const UNANSWERED_FILE = process.env.UNANSWERED_FILE || "./data/unanswered.json";
+const WA_TEMPLATE_QUESTION_FORWARDED = process.env.WA_TEMPLATE_QUESTION_FORWARDED || "question_forwarded";
+const WA_TEMPLATE_SICK_REPORT = process.env.WA_TEMPLATE_SICK_REPORT || "sick_report";
+const TRANSCRIBE_PROVIDER = process.env.TRANSCRIBE_PROVIDER || "openai"; // "openai" | "stub"
+const TRANSCRIBE_MODEL = process.env.TRANSCRIBE_MODEL || "whisper-1";
+const OPENAI_VISION_MODEL = process.env.OPENAI_VISION_MODEL || "gpt-4o-mini"; // модель, которая видит фото
+const MESSAGE_CONCURRENCY = Number(process.env.MESSAGE_CONCURRENCY || 4); // сколько пользователей обслуживаем одновременно
+const SHUTDOWN_DRAIN_MS = Number(process.env.SHUTDOWN_DRAIN_SECONDS || 25) * 1000; // сколько ждём очередь при остановке
+const OUTBOUND_MAX_ATTEMPTS = Number(process.env.OUTBOUND_MAX_ATTEMPTS || 5); // попыток отправить одно сообщение
+const OUTBOUND_RETRY_BASE_MS = Number(process.env.OUTBOUND_RETRY_BASE_MS || 1000); // пауза перед 1-м повтором, дальше ×2
+const OUTBOUND_RETRY_MAX_MS = 60 * 1000;
+const OUTBOUND_TRACK_MAX = 50; // сколько последних исходящих со статусами храним на пользователя
+const DEAD_LETTER_FILE = process.env.DEAD_LETTER_FILE || "./data/dead-letters.json";
 
 const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
 // Модель для всех вызовов ИИ
@@ -18,26 +58,383 @@ const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
 
 // ===== HELPERS =====
 
-// отправка текста в WhatsApp
-async function sendText(to, text) {
+// ===== ОТПРАВКА В WHATSAPP: повторы, лимиты, dead letters =====
+const GRAPH_MESSAGES_URL = "https://graph.facebook.com/v19.0/" + WHATSAPP_PHONE_ID + "/messages";
+
+// коды Graph API "слишком много сообщений" — приходят и с HTTP 400, их тоже повторяем
+const GRAPH_RATE_LIMIT_CODES = [4, 80007, 130429, 131048, 131056];
+
+function isRetryableSendError(err) {
+  const status = err.response?.status;
+  if (!status) return true; // сеть / таймаут
+  if (status === 429 || status >= 500) return true;
+  return GRAPH_RATE_LIMIT_CODES.includes(err.response.data?.error?.code);
+}
+
+// Retry-After, если Graph его прислал, иначе 1с, 2с, 4с ... (+ немного случайности)
+function retryDelayMs(err, attempt) {
+  const retryAfter = Number(err.response?.headers?.["retry-after"]);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, OUTBOUND_RETRY_MAX_MS);
+  const backoff = OUTBOUND_RETRY_BASE_MS * 2 ** (attempt - 1);
+  return Math.min(backoff * (1 + Math.random() * 0.2), OUTBOUND_RETRY_MAX_MS);
+}
+
+function sendErrorInfo(err) {
+  return err.response?.data?.error || { message: err.message, status: err.response?.status || null };
+}
+
+// Отправляет сообщение ({ type: "text", text: {...} } и т.п.), повторяя при сбоях.
+// Возвращает id исходящего сообщения (wamid) или null, если сообщение ушло в dead letters.
+async function sendWhatsAppMessage(to, message, { deadLetter = true } = {}) {
+  let attempt = 0;
+  let lastErr = null;
+
+  while (attempt < OUTBOUND_MAX_ATTEMPTS) {
+    attempt++;
+    try {
+      const res = await axios.post(
+        GRAPH_MESSAGES_URL,
+        { messaging_product: "whatsapp", to, ...message },
+        {
+          headers: {
+            Authorization: "Bearer " + WHATSAPP_TOKEN,
+            "Content-Type": "application/json",
+          },
+          timeout: 15000,
+        }
+      );
+      const messageId = res.data?.messages?.[0]?.id || null;
+      if (messageId) trackOutboundMessage(to, messageId, message.type);
+      return messageId;
+    } catch (err) {
+      lastErr = err;
+      if (!isRetryableSendError(err) || attempt >= OUTBOUND_MAX_ATTEMPTS) break;
+
+      const delay = retryDelayMs(err, attempt);
+      console.warn(`WhatsApp send to ${to} failed (attempt ${attempt}), retry in ${Math.round(delay)} ms:`, sendErrorInfo(err));
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  console.error(`WhatsApp send to ${to} gave up after ${attempt} attempt(s):`, sendErrorInfo(lastErr));
+  if (deadLetter) addDeadLetter(to, message, lastErr, attempt);
+  return null;
+}
+
+// ----- dead letters: сообщения, которые так и не удалось отправить -----
+const deadLetters = [];
+
+function loadDeadLetters() {
+  const file = path.resolve(DEAD_LETTER_FILE);
+  if (!fs.existsSync(file)) return;
   try {
-    await axios({
-      method: "POST",
-      url: "https://graph.facebook.com/v19.0/" + process.env.WHATSAPP_PHONE_ID + "/messages",
-      headers: {
-        Authorization: "Bearer " + WHATSAPP_TOKEN,
-        "Content-Type": "application/json",
-      },
-      data: {
-        messaging_product: "whatsapp",
-        to,
-        type: "text",
-        text: { body: text },
-      },
-    });
+    deadLetters.push(...JSON.parse(fs.readFileSync(file, "utf8")));
   } catch (err) {
-    console.error("sendText error:", err?.response?.data || err.message);
+    console.error("loadDeadLetters error:", err.message);
+  }
+}
+
+function saveDeadLetters() {
+  const file = path.resolve(DEAD_LETTER_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file + ".tmp", JSON.stringify(deadLetters, null, 2));
+  fs.renameSync(file + ".tmp", file);
+}
+
+function addDeadLetter(to, message, err, attempts) {
+  const item = {
+    id: crypto.randomUUID(),
+    to,
+    message,
+    error: sendErrorInfo(err),
+    attempts,
+    status: "dead",
+    createdAt: new Date().toISOString(),
+  };
+  deadLetters.push(item);
+  try {
+    saveDeadLetters();
+  } catch (saveErr) {
+    console.error("saveDeadLetters error:", saveErr.message);
+  }
+  return item;
+}
+
+loadDeadLetters();
+
+// ----- статусы исходящих: sent → delivered → read, или failed -----
+const OUTBOUND_STATUS_ORDER = ["sent", "delivered", "read"];
+
+// последние исходящие храним в состоянии получателя: st.outbound = [{ id, type, status, statuses, ... }]
+function trackOutboundMessage(to, messageId, type) {
+  const st = userState.get(to) || {};
+  const outbound = st.outbound || [];
+  outbound.push({ id: messageId, type, status: "accepted", statuses: {}, sentAt: new Date().toISOString() });
+  if (outbound.length > OUTBOUND_TRACK_MAX) outbound.splice(0, outbound.length - OUTBOUND_TRACK_MAX);
+  st.outbound = outbound;
+  userState.set(to, st);
+}
+
+// один элемент value.statuses из вебхука
+function recordMessageStatus(status) {
+  const phone = status.recipient_id;
+  if (!phone || !status.id || !status.status) return;
+
+  const st = userState.get(phone) || {};
+  const outbound = st.outbound || [];
+  let record = outbound.find(m => m.id === status.id);
+  if (!record) {
+    // отправлено до перезапуска или уже вытеснено — всё равно запоминаем
+    record = { id: status.id, type: null, status: "accepted", statuses: {}, sentAt: null };
+    outbound.push(record);
+    if (outbound.length > OUTBOUND_TRACK_MAX) outbound.splice(0, outbound.length - OUTBOUND_TRACK_MAX);
+  }
+
+  const at = status.timestamp ? new Date(Number(status.timestamp) * 1000).toISOString() : new Date().toISOString();
+  record.statuses[status.status] = at;
+
+  // статусы могут прийти не по порядку: "read" не откатываем обратно в "delivered"
+  if (status.status === "failed") {
+    record.status = "failed";
+    record.errors = status.errors || [];
+    console.warn("WhatsApp message failed:", phone, status.id, record.errors);
+  } else if (
+    record.status !== "failed" &&
+    OUTBOUND_STATUS_ORDER.indexOf(status.status) > OUTBOUND_STATUS_ORDER.indexOf(record.status)
+  ) {
+    record.status = status.status;
+  }
+
+  st.outbound = outbound;
+  userState.set(phone, st);
+}
+
+// ===== ФОРМАТ WHATSAPP: Markdown от ИИ -> разметка WhatsApp =====
+const WHATSAPP_TEXT_LIMIT = 4096; // больше Graph API не принимает
+const WHATSAPP_PART_RESERVE = 12; // место под "(10/12)\n"
+
+// "| a | b |" -> ["a", "b"]
+function tableCells(line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map(c => c.trim());
+}
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line);
+}
+
+// Таблица -> строки "• *Группа 1* — Ставка: 12,26 €, Баллы: 0–5"
+function formatTable(lines) {
+  const hasHeader = lines.length > 1 && isTableSeparator(lines[1]);
+  const header = hasHeader ? tableCells(lines[0]).map(c => c.replace(/\*\*|__/g, "")) : null;
+  const rows = (hasHeader ? lines.slice(2) : lines)
+    .filter(l => !isTableSeparator(l))
+    .map(l => tableCells(l).map(formatInline));
+
+  return rows.map(cells => {
+    if (!header) return "• " + cells.filter(Boolean).join(" — ");
+    const rest = cells
+      .slice(1)
+      .map((c, i) => (c ? (header[i + 1] ? `${header[i + 1]}: ${c}` : c) : null))
+      .filter(Boolean);
+    const lead = cells[0] ? `*${header[0] ? `${header[0]} ` : ""}${cells[0]}*` : "";
+    return "• " + [lead, rest.join(", ")].filter(Boolean).join(" — ");
+  });
+}
+
+// строка без таблиц и блоков кода
+function formatInline(line) {
+  return (
+    line
+      // [текст](ссылка)
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, (m, label, url) => (label === url ? url : `${label} (${url})`))
+      // **жирный** / __жирный__ — прячем, чтобы не спутать с курсивом
+      .replace(/\*\*(?!\s)(.+?)(?<!\s)\*\*/g, "\u0001$1\u0001")
+      .replace(/__(?!\s)(.+?)(?<!\s)__/g, "\u0001$1\u0001")
+      // *курсив* -> _курсив_
+      .replace(/(^|[^\w*])\*(?![\s*])([^*\n]+?)(?<!\s)\*(?![\w*])/g, "$1_$2_")
+      // ~~зачёркнутый~~ -> ~зачёркнутый~
+      .replace(/~~(?!\s)(.+?)(?<!\s)~~/g, "~$1~")
+      .replace(/\u0001/g, "*")
+  );
+}
+
+function formatForWhatsApp(text) {
+  const lines = String(text || "").replace(/\r\n/g, "\n").split("\n");
+  const out = [];
+  let inCode = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // ``` блоки WhatsApp показывает сам — не трогаем
+    if (/^\s*```/.test(line)) {
+      inCode = !inCode;
+      out.push(line.trim());
+      continue;
+    }
+    if (inCode) {
+      out.push(line);
+      continue;
+    }
+
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      const table = [];
+      while (i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i])) table.push(lines[i++]);
+      i--;
+      out.push(...formatTable(table));
+      continue;
+    }
+
+    const heading = /^\s*#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      out.push(`*${heading[1].replace(/\*\*|__/g, "")}*`);
+      continue;
+    }
+
+    // --- / *** — просто пустая строка
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push("");
+      continue;
+    }
+
+    const bullet = /^(\s*)[-*+]\s+(.*)$/.exec(line);
+    if (bullet) {
+      out.push(`${bullet[1]}• ${formatInline(bullet[2])}`);
+      continue;
+    }
+
+    out.push(formatInline(line.replace(/^\s*>\s?/, "")));
+  }
+
+  return out.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Длинный текст -> части не больше limit: режем по абзацам, строкам, предложениям, словам
+function splitWhatsAppText(text, limit = WHATSAPP_TEXT_LIMIT - WHATSAPP_PART_RESERVE) {
+  if (text.length <= limit) return [text];
+
+  const separators = ["\n\n", "\n", ". ", " "];
+  const parts = [];
+  let rest = text;
+
+  while (rest.length > limit) {
+    let cut = -1;
+    for (const sep of separators) {
+      const at = rest.lastIndexOf(sep, limit - sep.length);
+      // слишком короткий кусок не берём — лучше резать мельче
+      if (at > limit / 3) {
+        cut = at + sep.length;
+        break;
+      }
+    }
+    if (cut === -1) cut = limit;
+
+    parts.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) parts.push(rest);
+
+  return parts.map((p, i) => `(${i + 1}/${parts.length})\n${p}`);
+}
+
+// отправка текста в WhatsApp: разметка WhatsApp, длинное — несколькими сообщениями.
+// format: false — текст пользователя (перевод) отправляем как есть, без замены разметки
+async function sendText(to, text, { format = true } = {}) {
+  const formatted = format ? formatForWhatsApp(text) : String(text || "");
+  userState.appendHistory(to, "assistant", formatted);
+
+  const messageIds = [];
+  for (const part of splitWhatsAppText(formatted)) {
+    messageIds.push(await sendWhatsAppMessage(to, { type: "text", text: { body: part } }));
+  }
+  return messageIds;
+}
+
+const WHATSAPP_INTERACTIVE_BODY_LIMIT = 1024;
+
+// текст над кнопками / списком; если длинный — отдельным сообщением, а кнопки под ним
+async function interactiveBody(to, text) {
+  const formatted = formatForWhatsApp(text);
+  if (formatted.length <= WHATSAPP_INTERACTIVE_BODY_LIMIT) {
+    userState.appendHistory(to, "assistant", formatted);
+    return formatted;
   }
+  await sendText(to, formatted, { format: false }); // уже отформатирован: второй проход сделал бы *жирный* курсивом
+  return "👇";
+}
+
+// до 3 кнопок-ответов: [{ id, title }] (title — до 20 символов)
+async function sendButtons(to, text, buttons) {
+  return sendWhatsAppMessage(to, {
+    type: "interactive",
+    interactive: {
+      type: "button",
+      body: { text: await interactiveBody(to, text) },
+      action: {
+        buttons: buttons.slice(0, 3).map(b => ({ type: "reply", reply: { id: b.id, title: b.title.slice(0, 20) } })),
+      },
+    },
+  });
+}
+
+// список до 10 пунктов: [{ id, title, description? }] (title — до 24 символов)
+async function sendList(to, text, buttonTitle, rows) {
+  return sendWhatsAppMessage(to, {
+    type: "interactive",
+    interactive: {
+      type: "list",
+      body: { text: await interactiveBody(to, text) },
+      action: {
+        button: buttonTitle.slice(0, 20),
+        sections: [
+          {
+            rows: rows.slice(0, 10).map(r => ({
+              id: r.id,
+              title: r.title.slice(0, 24),
+              ...(r.description ? { description: r.description.slice(0, 72) } : {}),
+            })),
+          },
+        ],
+      },
+    },
+  });
+}
+
+// отправка шаблона WhatsApp (нужно вне 24-часового окна после сообщения пользователя)
+// Graph API не принимает в параметрах шаблона переводы строк, табы и больше 4 пробелов подряд (132018)
+function templateParam(text) {
+  return String(text)
+    .replace(/\s*\n\s*/g, " · ")
+    .replace(/\t/g, " ")
+    .replace(/ {4,}/g, "   ")
+    .trim();
+}
+
+async function sendTemplate(to, templateName, languageCode, params = []) {
+  return sendWhatsAppMessage(to, {
+    type: "template",
+    template: {
+      name: templateName,
+      language: { code: languageCode },
+      components: params.length
+        ? [
+            {
+              type: "body",
+              parameters: params.map(text => ({ type: "text", text: templateParam(text) })),
+            },
+          ]
+        : [],
+    },
+  });
+}
+
+// скачать медиафайл из WhatsApp по id: сначала ссылка, потом сам файл
+async function downloadWhatsAppMedia(mediaId) {
+  const headers = { Authorization: "Bearer " + WHATSAPP_TOKEN };
+  // с таймаутами: зависшая загрузка держала бы место в очереди сообщений
+  const meta = await axios.get("https://graph.facebook.com/v19.0/" + mediaId, { headers, timeout: 15000 });
+  const file = await axios.get(meta.data.url, { headers, responseType: "arraybuffer", timeout: 30000 });
+  return { buffer: Buffer.from(file.data), mimeType: meta.data.mime_type || "application/octet-stream" };
 }
 
 // ====== WEBHOOK VERIFY ======
@@ -53,20 +450,49 @@ app.get("/webhook", (req, res) => {
 });
 
 // ====== WEBHOOK HANDLER ======
-app.post("/webhook", async (req, res) => {
-  try {
-    const entry = req.body?.entry?.[0];
-    const change = entry?.changes?.[0];
-    const msg = change?.value?.messages?.[0];
+// Meta подписывает каждый POST: X-Hub-Signature-256: sha256=<HMAC-SHA256 тела по App Secret>
+function requireWhatsAppSignature(req, res, next) {
+  const signature = req.get("X-Hub-Signature-256") || "";
+  if (!WHATSAPP_APP_SECRET || !req.rawBody || !signature.startsWith("sha256=")) {
+    console.warn("Webhook rejected: no signature");
+    return res.sendStatus(403);
+  }
+
+  const expected = crypto.createHmac("sha256", WHATSAPP_APP_SECRET).update(req.rawBody).digest();
+  const actual = Buffer.from(signature.slice("sha256=".length), "hex");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    console.warn("Webhook rejected: bad signature");
+    return res.sendStatus(403);
+  }
+  next();
+}
+
+app.post("/webhook", requireWhatsAppSignature, async (req, res) => {
+  // останавливаемся: пусть WhatsApp повторит доставку после перезапуска
+  if (messageQueue.closed) return res.sendStatus(503);
 
-    if (!msg) return res.sendStatus(200);
+  try {
+    // в одной доставке может быть несколько entry / changes / messages — берём все по порядку
+    for (const entry of req.body?.entry || []) {
+      for (const change of entry.changes || []) {
+        // статусы наших исходящих: sent / delivered / read / failed
+        for (const status of change.value?.statuses || []) recordMessageStatus(status);
 
-    const from = msg.from;
-    let text = msg.text?.body || "";
+        for (const msg of change.value?.messages || []) {
+          const from = msg.from;
+          if (!from) continue;
 
-    console.log("Incoming:", from, text);
+          // WhatsApp повторяет доставку, если не дождался ответа, — второй раз не отвечаем
+          if (isDuplicateMessage(from, msg.id)) {
+            console.log("Duplicate message skipped:", msg.id);
+            continue;
+          }
 
-    handleIncoming(from, text); // логика будет ниже
+          console.log("Queued:", from, msg.id, msg.type);
+          messageQueue.push(from, () => handleWhatsAppMessage(msg));
+        }
+      }
+    }
 
     res.sendStatus(200);
   } catch (err) {
@@ -75,23 +501,384 @@ app.post("/webhook", async (req, res) => {
   }
 });
 
+// Одно входящее сообщение; вызывается из очереди, по одному на пользователя
+async function handleWhatsAppMessage(msg) {
+  const from = msg.from;
+
+  // голосовое сообщение: сначала расшифровка, потом как обычный текст
+  if (msg.type === "audio" && msg.audio?.id) {
+    console.log("Incoming audio:", from, msg.audio.id);
+    await handleVoiceMessage(from, msg.audio);
+    return;
+  }
+
+  // фото пятна / налёта / этикетки
+  if (msg.type === "image" && msg.image?.id) {
+    console.log("Incoming image:", from, msg.image.id, msg.image.caption || "");
+    await handleImageMessage(from, msg.image);
+    return;
+  }
+
+  // нажатая кнопка или пункт списка — без ИИ-маршрутизатора
+  const reply = msg.interactive?.button_reply || msg.interactive?.list_reply;
+  if (msg.type === "interactive" && reply?.id) {
+    console.log("Incoming tap:", from, reply.id);
+    await handleInteractiveReply(from, reply);
+    return;
+  }
+
+  const text = msg.text?.body || "";
+
+  console.log("Incoming:", from, text);
+
+  await handleIncoming(from, text);
+}
+
+// ====== ADMIN: реестр сотрудников ======
+function requireAdmin(req, res, next) {
+  const auth = req.get("Authorization") || "";
+  if (!ADMIN_TOKEN || auth !== "Bearer " + ADMIN_TOKEN) {
+    return res.sendStatus(403);
+  }
+  next();
+}
+
+app.get("/admin/employees", requireAdmin, (req, res) => {
+  res.json([...employees.values()]);
+});
+
+app.get("/admin/employees/:phone", requireAdmin, (req, res) => {
+  const emp = getEmployee(req.params.phone);
+  if (!emp) return res.sendStatus(404);
+  res.json(emp);
+});
+
+app.put("/admin/employees/:phone", requireAdmin, (req, res) => {
+  try {
+    res.json(upsertEmployee(req.params.phone, req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/admin/employees/:phone", requireAdmin, (req, res) => {
+  const deleted = employees.delete(normalizePhone(req.params.phone));
+  if (deleted) saveEmployees();
+  res.sendStatus(deleted ? 204 : 404);
+});
+
+// CSV: phone,name,language,pay_group,employment_start,contract_hours,site,supervisor,supervisor_phone,union_member
+app.post(
+  "/admin/employees/import",
+  requireAdmin,
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  (req, res) => {
+    res.json(importEmployeesCsv(req.body));
+  }
+);
+
+// ====== ADMIN: неотвеченные вопросы ======
+app.get("/admin/unanswered", requireAdmin, (req, res) => {
+  const status = req.query.status;
+  res.json(unansweredQueue.filter(q => !status || q.status === status));
+});
+
+// закрыть вопрос; если передан answer — он уходит сотруднику в WhatsApp.
+// Не дошёл — вопрос остаётся "open" с deliveryFailed, ответ 502.
+app.post("/admin/unanswered/:id/resolve", requireAdmin, async (req, res) => {
+  const item = unansweredQueue.find(q => q.id === req.params.id);
+  if (!item) return res.sendStatus(404);
+
+  const answer = (req.body?.answer || "").trim();
+  item.answer = answer || null;
+
+  let error = null;
+  if (answer) {
+    try {
+      const delivered = await sendProactive(
+        item.phone,
+        `💬 Answer to your question "${item.question}":\n${answer}`,
+        WA_TEMPLATE_QUESTION_FORWARDED
+      );
+      if (!delivered) error = "WhatsApp message was not delivered (see /admin/dead-letters)";
+    } catch (err) {
+      console.error("Unanswered resolve send error:", err);
+      error = err.message;
+    }
+  }
+
+  if (error) {
+    item.deliveryFailed = true;
+  } else {
+    item.status = "resolved";
+    item.resolvedAt = new Date().toISOString();
+    delete item.deliveryFailed;
+  }
+  saveUnanswered();
+  res.status(error ? 502 : 200).json(error ? { error, item } : item);
+});
+
+// ====== ADMIN: неотправленные сообщения и статусы доставки ======
+app.get("/admin/dead-letters", requireAdmin, (req, res) => {
+  const status = req.query.status;
+  res.json(deadLetters.filter(d => !status || d.status === status));
+});
+
+// отправить ещё раз; при неудаче запись остаётся в dead letters
+app.post("/admin/dead-letters/:id/retry", requireAdmin, async (req, res) => {
+  const item = deadLetters.find(d => d.id === req.params.id);
+  if (!item) return res.sendStatus(404);
+
+  let messageId = null;
+  try {
+    messageId = await sendWhatsAppMessage(item.to, item.message, { deadLetter: false });
+  } catch (err) {
+    console.error("Dead letter retry error:", err);
+    item.error = { message: err.message };
+  }
+  item.retriedAt = new Date().toISOString();
+  if (messageId) {
+    item.status = "resent";
+    item.messageId = messageId;
+  }
+  saveDeadLetters();
+  res.status(messageId ? 200 : 502).json(item);
+});
+
+app.get("/admin/outbound/:phone", requireAdmin, (req, res) => {
+  res.json(userState.get(normalizePhone(req.params.phone))?.outbound || []);
+});
+
 // ===== USER STATE (простая память по номеру) =====
-const userState = new Map(); // phone -> { lastUserText?: string, lastIntent?: string }
+// Хранилище с тем же API, что у Map (get / set), плюс история переписки.
+// Бэкенды: "memory" — только в памяти, "file" — то же + JSON-файл на диске,
+// чтобы состояние и история переживали перезапуск.
+
+function createMemoryStateStore(initial = {}) {
+  // phone -> { state: {...}, history: [{ role, text, at }] }
+  const users = new Map(Object.entries(initial));
+  const entry = phone => {
+    if (!users.has(phone)) users.set(phone, { state: {}, history: [] });
+    return users.get(phone);
+  };
+
+  return {
+    get(phone) {
+      return users.get(phone)?.state;
+    },
+    set(phone, state) {
+      entry(phone).state = state;
+      this.changed();
+    },
+    appendHistory(phone, role, text) {
+      const h = entry(phone).history;
+      h.push({ role, text, at: Date.now() });
+      if (h.length > HISTORY_MAX_MESSAGES) h.splice(0, h.length - HISTORY_MAX_MESSAGES);
+      this.changed();
+    },
+    getHistory(phone, limit = HISTORY_MAX_MESSAGES) {
+      return (users.get(phone)?.history || []).slice(-limit);
+    },
+    // удаляем историю старше срока хранения
+    prune(now = Date.now()) {
+      const minAt = now - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      for (const [phone, u] of users) {
+        u.history = u.history.filter(m => m.at >= minAt);
+        if (!u.history.length && !Object.keys(u.state).length) users.delete(phone);
+      }
+      this.changed();
+    },
+    toJSON() {
+      return Object.fromEntries(users);
+    },
+    changed() {},
+  };
+}
+
+function createFileStateStore(file) {
+  const full = path.resolve(file);
+  let initial = {};
+  if (fs.existsSync(full)) {
+    try {
+      initial = JSON.parse(fs.readFileSync(full, "utf8"));
+    } catch (err) {
+      console.error("State file is broken, starting empty:", err.message);
+    }
+  }
+
+  const store = createMemoryStateStore(initial);
+  let timer = null;
+
+  store.flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full + ".tmp", JSON.stringify(store));
+    fs.renameSync(full + ".tmp", full);
+  };
+  // пишем на диск не чаще раза в секунду
+  store.changed = () => {
+    if (!timer) timer = setTimeout(() => {
+      try {
+        store.flush();
+      } catch (err) {
+        console.error("State save error:", err.message);
+      }
+    }, 1000);
+  };
+
+  console.log("State loaded users:", Object.keys(initial).length);
+  return store;
+}
+
+function createStateStore() {
+  const store = STATE_STORE === "memory" ? createMemoryStateStore() : createFileStateStore(STATE_FILE);
+  if (!store.flush) store.flush = () => {};
+
+  store.prune();
+  setInterval(() => store.prune(), 60 * 60 * 1000).unref();
+  return store;
+}
+
+const userState = createStateStore(); // phone -> { lastUserText?, lastIntent?, lastBotText?, ... }
+
+const SEEN_MESSAGE_IDS_MAX = 50; // на пользователя, хватает для повторов WhatsApp
+
+// id входящих сообщений храним в состоянии пользователя, чтобы повтор пережил и перезапуск
+function isDuplicateMessage(phone, messageId) {
+  if (!messageId) return false;
+  const st = userState.get(phone) || {};
+  const seen = st.seenMessageIds || [];
+  if (seen.includes(messageId)) return true;
+
+  seen.push(messageId);
+  if (seen.length > SEEN_MESSAGE_IDS_MAX) seen.splice(0, seen.length - SEEN_MESSAGE_IDS_MAX);
+  st.seenMessageIds = seen;
+  userState.set(phone, st);
+  return false;
+}
+
+// ===== ОЧЕРЕДЬ СООБЩЕНИЙ =====
+// Сообщения одного пользователя — строго по очереди (иначе гонка за userState и ответы не по порядку),
+// разные пользователи — параллельно, но не больше concurrency одновременно.
+function createMessageQueue(concurrency) {
+  const queues = new Map(); // phone -> [task], пока у пользователя есть работа
+  const ready = []; // пользователи, ждущие свободного места
+  let running = 0;
+  let idleWaiters = [];
+
+  function pump() {
+    while (running < concurrency && ready.length) {
+      const phone = ready.shift();
+      const tasks = queues.get(phone);
+      const task = tasks.shift();
+      running++;
+
+      Promise.resolve()
+        .then(task)
+        .catch(err => console.error("Message handler error:", phone, err))
+        .finally(() => {
+          running--;
+          if (tasks.length) ready.push(phone);
+          else queues.delete(phone);
+          pump();
+
+          if (!running && !ready.length) {
+            for (const resolve of idleWaiters) resolve();
+            idleWaiters = [];
+          }
+        });
+    }
+  }
+
+  return {
+    closed: false,
+    push(phone, task) {
+      let tasks = queues.get(phone);
+      if (!tasks) {
+        tasks = [];
+        queues.set(phone, tasks);
+        ready.push(phone);
+      }
+      tasks.push(task);
+      pump();
+    },
+    size() {
+      let n = running;
+      for (const tasks of queues.values()) n += tasks.length;
+      return n;
+    },
+    // больше не принимаем и ждём, пока всё начатое закончится (или выйдет время)
+    drain(timeoutMs) {
+      this.closed = true;
+      if (!running && !ready.length) return Promise.resolve(true);
+      return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(false), timeoutMs);
+        idleWaiters.push(() => {
+          clearTimeout(timer);
+          resolve(true);
+        });
+      });
+    },
+  };
+}
+
+const messageQueue = createMessageQueue(MESSAGE_CONCURRENCY);
 
 // ===== ИИ-маршрутизатор =====
 // Маршрутизатор: ИИ решает, что это за запрос и какие данные из него вытащить
-async function classifyMessageAI(message, prevState = {}) {
-  const text = (message || "").trim();
-
-  // базовый объект по умолчанию
-  const base = {
+// базовый объект маршрута: все поля пустые (нажатые кнопки заполняют только нужные)
+function emptyRoute() {
+  return {
     intent: "kb",
     user_language: "ru",
     hours_per_week: null,
     hourly_rate: null,
+    ordinary_hours: null,
+    evening_hours: null,
+    night_hours: null,
+    sunday_hours: null,
+    experience_over_10y: false,
+    pay_group: null,
+    rate_date: null,
+    want_net: false,
+    tax_rate: null,
+    no_tax_card: false,
+    union_member: false,
+    age: null,
+    sick_start_date: null,
+    sick_day_hours: null,
+    sick_expected_days: null,
+    employment_start_date: null,
+    leave_period_start: null,
+    leave_period_end: null,
+    notice_date: null,
+    notice_by: null,
+    work_days: null,
+    calendar_question: null,
+    calendar_date: null,
+    reminder_lead_minutes: null,
+    reminders_enabled: null,
+    profile_action: null,
+    profile_updates: null,
+    schedule_question: null,
+    schedule_date: null,
+    chem_problem: null,
+    chem_severity: null,
+    chem_product: null,
+    chem_container: null,
+    chem_volume_liters: null,
+    chem_mix_products: null,
+    chem_mentions_chlorine: false,
     target_language: null,
     text_for_translation: null,
   };
+}
+
+async function classifyMessageAI(message, prevState = {}, profile = null) {
+  const text = (message || "").trim();
+
+  const base = emptyRoute();
 
   if (!text) return base;
 
@@ -118,6 +905,8 @@ async function classifyMessageAI(message, prevState = {}) {
     "Посчитай зарплату при ставке 12,26 и 25 часов в неделю"
     "How much will I get per month if I work 30h/week with 12.26 €/h?"
     "Сколько я буду получать, если 20 часов в неделю по 12,26?"
+    "Сколько получу за 10 вечерних и 4 воскресных часа при ставке 13,52?"
+    "Paljonko saan 120 tunnista, joista 8 yötunteja?"
 
   ВАЖНО:
   - salary_calc — только если пользователь ЯВНО просит посчитать
@@ -125,6 +914,73 @@ async function classifyMessageAI(message, prevState = {}) {
   - Если он спрашивает просто "Какая зарплата в SOL", "Какие ставки по PAM",
     это НЕ расчёт, это информация → тогда intent НЕ "salary_calc".
 
+- "pay_rate" — пользователь спрашивает ставку КОНКРЕТНОЙ группы PAM
+  или таблицу ставок на конкретную дату.
+  Примеры:
+    "Какая ставка 4 группы в следующем августе?"
+    "Paljonko on palkkaryhmän 3 tuntipalkka 2027?"
+    "What is the group 6 rate now?"
+
+- "sick_pay" — пользователь просит ПОСЧИТАТЬ оплату своего больничного
+  (какие дни оплатят, сколько денег, когда начнёт платить Kela).
+  Примеры:
+    "Я болею с 3.3, по графику было 5, 5 и 4 часа. Сколько мне заплатят?"
+    "Olin sairaana maanantaista keskiviikkoon, paljonko saan sairausajan palkkaa?"
+  ВАЖНО: общий вопрос "как оплачивается больничный" — это "kb", а не "sick_pay".
+
+- "sick_report" — пользователь СООБЩАЕТ, что заболел и не выйдет на работу,
+  или что всё ещё болеет.
+  Примеры:
+    "Я заболел, завтра не приду"
+    "Olen kipeä, en pääse töihin tänään"
+    "I'm sick since Monday, probably for 3 days"
+    "Всё ещё болею, ещё 2 дня"
+  ВАЖНО: если prev_intent = "sick_report" и сообщение — просто дата или число дней
+  ("с понедельника", "3 дня", "tänään"), это тоже "sick_report".
+
+- "leave_calc" — пользователь просит ПОСЧИТАТЬ, сколько дней отпуска он накопил.
+  Примеры:
+    "Сколько дней отпуска я заработал, если работаю с 1.6.2024?"
+    "Paljonko lomaa kertyy 1.4.–31.12.?"
+
+- "notice_calc" — пользователь просит ПОСЧИТАТЬ срок уведомления об увольнении
+  или последний рабочий день.
+  Примеры:
+    "Хочу уволиться 15.3, работаю с 2021 года. Когда последний день?"
+    "If my employer terminates me today, how long is my notice period?"
+
+  ВАЖНО: общие вопросы "как работает отпуск / увольнение" — это "kb".
+
+- "profile" — пользователь хочет посмотреть или исправить СВОИ данные
+  (имя, язык, группа оплаты, дата начала работы, часы по договору, членство в PAM).
+  Примеры:
+    "Покажи мой профиль"
+    "Моя группа оплаты 4"
+    "I started at SOL on 1.3.2022"
+    "Olen PAM:n jäsen"
+
+- "reminder_settings" — пользователь настраивает напоминания о сменах.
+  Примеры:
+    "Напоминай мне за 3 часа до смены"
+    "Älä lähetä muistutuksia"
+    "Turn shift reminders back on"
+
+- "calendar" — вопросы про праздничные дни и дни выплаты зарплаты.
+  Примеры:
+    "Когда следующая зарплата?"
+    "Onko perjantai pyhäpäivä?"
+    "К какому периоду оплаты относится 16.3?"
+    "Какие праздники в 2026 году?"
+
+- "chemical" — какое средство SOL взять для конкретной проблемы, сколько его
+  налить в ведро / распылитель, можно ли смешивать средства.
+  Примеры:
+    "Чем убрать сильный известковый налёт в душе?"
+    "Сколько Sartek 2 налить в ведро 8 литров?"
+    "Voiko Kasperia ja Sartekia sekoittaa?"
+    "Grease in the kitchen, what should I use in a spray bottle?"
+  ВАЖНО: общие вопросы про правила безопасности с химией без конкретной задачи — это "kb".
+
 - "kb" — информационный вопрос по внутренним правилам, PAM/TES, больничным,
   отпуску, химии, безопасности и т.п.
   Примеры:
@@ -147,6 +1003,9 @@ async function classifyMessageAI(message, prevState = {}) {
     "Моё työvuorot"
     "My shifts link please"
     "Расписание на неделю"
+    "Когда моя следующая смена?"
+    "Missä olen töissä huomenna?"
+    "How many hours do I have this week?"
 
 - "chitchat" — просто поболтать, приветствие, small talk
   Примеры:
@@ -156,6 +1015,7 @@ async function classifyMessageAI(message, prevState = {}) {
   Для "other" бот может отвечать как обычный ассистент.
 
 user_language:
+- если сообщение короткое и язык неясен — используй profile.language из входных данных
 - "ru" — если преобладает русский
 - "fi" — финский
 - "en" — английский
@@ -170,7 +1030,95 @@ user_language:
 Если intent = "salary_calc":
 - hours_per_week — число часов в неделю, если указаны (например 25).
 - hourly_rate — ставка в евро в час, если указана (например 12.26).
-- Если числа в сообщении — разделены запятой или точкой, приведи к числу.
+- Если пользователь перечисляет часы по видам работы — разложи их:
+  - ordinary_hours — обычные часы (без надбавок);
+  - evening_hours — вечерние часы (18:00–23:00);
+  - night_hours — ночные часы (23:00–06:00);
+  - sunday_hours — часы в воскресенье и праздники;
+  - experience_over_10y — true, если пользователь говорит, что у него стаж больше 10 лет.
+  Каждый час относится только к ОДНОМУ виду (без пересечений).
+  Если сказано "120 часов, из них 8 ночных" — ordinary_hours = 112, night_hours = 8.
+- pay_group — группа оплаты PAM (1–10), если пользователь указал группу вместо ставки.
+- want_net — true, если пользователь хочет знать сумму "на руки" / после налогов / netto.
+- tax_rate — процент удержания из налоговой карточки (verokortti), если назван (например 18.5).
+- no_tax_card — true, если пользователь говорит, что у него НЕТ verokortti.
+- union_member — true, если пользователь говорит, что он член профсоюза PAM.
+- age — возраст пользователя, если указан (влияет на пенсионный взнос TyEL).
+- work_days — если пользователь перечисляет обычные часы ПО ДАТАМ,
+  массив [{"date": "YYYY-MM-DD", "hours": 5}, ...] (праздники бот определит сам).
+
+Если intent = "pay_rate" или "salary_calc":
+- pay_group — группа оплаты PAM (1–10), если указана.
+- rate_date — дата в формате "YYYY-MM-DD", на которую нужна ставка,
+  если пользователь её упомянул ("в следующем августе", "с 2027").
+  Считай относительно today из входных данных. Если дата не упомянута — null.
+
+Если intent = "sick_pay":
+- sick_start_date — первый день болезни, "YYYY-MM-DD".
+- sick_day_hours — массив часов ПО ГРАФИКУ на каждый день болезни подряд,
+  начиная с sick_start_date (0 — если в этот день смены не было), например [5, 5, 0, 4].
+- employment_start_date — дата начала работы в SOL, "YYYY-MM-DD", если названа.
+- hourly_rate или pay_group — как для "salary_calc".
+
+Если intent = "sick_report":
+- sick_start_date — первый день болезни, "YYYY-MM-DD" ("сегодня", "с понедельника" — считай от today).
+- sick_expected_days — сколько календарных дней пользователь собирается болеть, целое число.
+
+Если intent = "leave_calc":
+- employment_start_date — дата начала работы в SOL, если названа.
+- leave_period_start, leave_period_end — период, за который считать отпуск
+  ("YYYY-MM-DD"), если пользователь его назвал; иначе null.
+
+Если intent = "notice_calc":
+- employment_start_date — дата начала работы в SOL, если названа.
+- notice_date — дата, когда подаётся / подано уведомление ("YYYY-MM-DD").
+  Если сказано "сегодня" или дата не названа — today.
+- notice_by — "employee", если увольняется сам работник,
+  "employer", если увольняет работодатель.
+
+Если intent = "schedule":
+- schedule_question — одно из:
+  "next_shift" (когда следующая смена),
+  "day" (смены / где работаю в конкретный день),
+  "week_hours" (сколько часов за неделю),
+  "link" (просто ссылка на расписание).
+- schedule_date — дата ("YYYY-MM-DD") для "day" и "week_hours";
+  "завтра" / "в пятницу" — считай от today. Если даты нет — today.
+
+Если intent = "profile":
+- profile_action — "view" (посмотреть) или "update" (исправить).
+- profile_updates — для "update" объект только с тем, что пользователь меняет:
+  {"name": "...", "language": "ru|fi|en|ne|bn", "pay_group": 4,
+   "employment_start": "YYYY-MM-DD", "contract_hours": 25, "union_member": true}
+
+Если intent = "reminder_settings":
+- reminder_lead_minutes — за сколько МИНУТ до смены напоминать (3 часа = 180), если названо.
+- reminders_enabled — false, если пользователь просит НЕ присылать напоминания,
+  true — если просит включить; null — если не сказал.
+
+Если intent = "chemical":
+- chem_problem — "limescale" (камень, известь, ржавчина), "grease" (жир, масло, грязь на полу),
+  "toilet", "glass" (окна, зеркала), "dishes" (посуда) или null.
+- chem_severity — "light" (лёгкий / ежедневно), "heavy" (сильный / застарелый),
+  "kitchen" (кухонный жир, масло) или null.
+- chem_product — название средства SOL, если пользователь его назвал (например "Kasperi").
+- chem_container — "bucket" (ведро, ämpäri) или "spray" (распылитель, suihkepullo), если сказано.
+- chem_volume_liters — объём воды в литрах, если назван (0.5, 8, 10).
+- chem_mix_products — массив средств, которые пользователь хочет СМЕШАТЬ
+  (например ["Kasperi", "Sartek 2"]), иначе null.
+- chem_mentions_chlorine — true, если пользователь говорит про хлорку / kloori / bleach.
+
+Если intent = "calendar":
+- calendar_question — одно из:
+  "next_payday" (когда следующая выплата),
+  "is_holiday" (праздник ли дата),
+  "pay_period" (к какому периоду оплаты относится дата),
+  "holidays" (список праздников за год).
+- calendar_date — дата, о которой спрашивают ("YYYY-MM-DD");
+  "пятница" / "завтра" — ближайшая такая дата от today. Если даты нет — today.
+
+Если числа в сообщении — разделены запятой или точкой, приведи к числу.
+Даты считай относительно today из входных данных.
 
 Верни ТОЛЬКО JSON без пояснений в формате:
 {
@@ -178,6 +1126,42 @@ user_language:
   "user_language": "...",
   "hours_per_week": null,
   "hourly_rate": null,
+  "ordinary_hours": null,
+  "evening_hours": null,
+  "night_hours": null,
+  "sunday_hours": null,
+  "experience_over_10y": false,
+  "pay_group": null,
+  "rate_date": null,
+  "want_net": false,
+  "tax_rate": null,
+  "no_tax_card": false,
+  "union_member": false,
+  "age": null,
+  "sick_start_date": null,
+  "sick_day_hours": null,
+  "sick_expected_days": null,
+  "employment_start_date": null,
+  "leave_period_start": null,
+  "leave_period_end": null,
+  "notice_date": null,
+  "notice_by": null,
+  "work_days": null,
+  "calendar_question": null,
+  "calendar_date": null,
+  "reminder_lead_minutes": null,
+  "reminders_enabled": null,
+  "profile_action": null,
+  "profile_updates": null,
+  "schedule_question": null,
+  "schedule_date": null,
+  "chem_problem": null,
+  "chem_severity": null,
+  "chem_product": null,
+  "chem_container": null,
+  "chem_volume_liters": null,
+  "chem_mix_products": null,
+  "chem_mentions_chlorine": false,
   "target_language": null,
   "text_for_translation": null
 }
@@ -195,6 +1179,10 @@ user_language:
             message: text,
             prev_intent: prevState.lastIntent || null,
             prev_language: prevState.user_language || null,
+            today: todayIso(),
+            profile: profile
+              ? { language: profile.language || null, pay_group: profile.pay_group || null }
+              : null,
           }),
         },
       ],
@@ -239,11 +1227,93 @@ user_language:
       }
     }
 
-    // нормализуем язык
-    if (!result.user_language) result.user_language = "ru";
+    // часы по видам работы (за любой период, поэтому верхняя граница щедрая)
+    for (const key of PAY_HOUR_FIELDS) {
+      let v = result[key];
+      if (typeof v === "string") {
+        const n = parseFloat(v.replace(",", "."));
+        v = isFinite(n) ? n : null;
+      }
+      result[key] = typeof v === "number" && v > 0 && v <= 400 ? v : null;
+    }
+    result.experience_over_10y = result.experience_over_10y === true;
 
-    return result;
-  } catch (err) {
+    const group = parseInt(result.pay_group, 10);
+    result.pay_group = group >= 1 && group <= 10 ? group : null;
+    if (!["employee", "employer"].includes(result.notice_by)) result.notice_by = null;
+    if (!["next_payday", "is_holiday", "pay_period", "holidays"].includes(result.calendar_question)) {
+      result.calendar_question = null;
+    }
+    if (!["next_shift", "day", "week_hours", "link"].includes(result.schedule_question)) {
+      result.schedule_question = null;
+    }
+
+    const lead = parseInt(result.reminder_lead_minutes, 10);
+    result.reminder_lead_minutes = lead >= 5 && lead <= 48 * 60 ? lead : null;
+    if (typeof result.reminders_enabled !== "boolean") result.reminders_enabled = null;
+
+    if (!["limescale", "grease", "toilet", "glass", "dishes"].includes(result.chem_problem)) result.chem_problem = null;
+    if (!["light", "heavy", "kitchen"].includes(result.chem_severity)) result.chem_severity = null;
+    if (!["bucket", "spray"].includes(result.chem_container)) result.chem_container = null;
+    if (typeof result.chem_product !== "string" || !result.chem_product.trim()) result.chem_product = null;
+    const volume = parseFloat(String(result.chem_volume_liters ?? "").replace(",", "."));
+    result.chem_volume_liters = isFinite(volume) && volume > 0 && volume <= 50 ? volume : null;
+    result.chem_mix_products = Array.isArray(result.chem_mix_products)
+      ? result.chem_mix_products.filter(x => typeof x === "string" && x.trim())
+      : null;
+    result.chem_mentions_chlorine = result.chem_mentions_chlorine === true;
+
+    if (!["view", "update"].includes(result.profile_action)) result.profile_action = null;
+    if (!result.profile_updates || typeof result.profile_updates !== "object") result.profile_updates = null;
+
+    // обычные часы по датам: [{ date, hours }]
+    result.work_days = Array.isArray(result.work_days)
+      ? result.work_days
+          .map(d => ({ date: d?.date, hours: parseFloat(String(d?.hours).replace(",", ".")) }))
+          .filter(d => isIsoDate(d.date) && isFinite(d.hours) && d.hours > 0 && d.hours <= 16)
+          .slice(0, 62)
+      : null;
+    if (result.work_days && !result.work_days.length) result.work_days = null;
+
+    for (const key of [
+      "rate_date",
+      "sick_start_date",
+      "employment_start_date",
+      "leave_period_start",
+      "leave_period_end",
+      "notice_date",
+      "calendar_date",
+      "schedule_date",
+    ]) {
+      if (!isIsoDate(result[key])) result[key] = null;
+    }
+
+    // часы по графику на каждый день болезни
+    result.sick_day_hours = Array.isArray(result.sick_day_hours)
+      ? result.sick_day_hours
+          .map(h => parseFloat(String(h).replace(",", ".")))
+          .map(h => (isFinite(h) && h >= 0 && h <= 16 ? h : 0))
+          .slice(0, 90)
+      : null;
+    if (result.sick_day_hours && !result.sick_day_hours.length) result.sick_day_hours = null;
+
+    const expectedDays = parseInt(result.sick_expected_days, 10);
+    result.sick_expected_days = expectedDays >= 1 && expectedDays <= 90 ? expectedDays : null;
+
+    // данные для расчёта "на руки"
+    const taxRate = parseFloat(String(result.tax_rate ?? "").replace(",", "."));
+    result.tax_rate = isFinite(taxRate) && taxRate >= 0 && taxRate <= 60 ? taxRate : null;
+    const age = parseInt(result.age, 10);
+    result.age = age >= 15 && age <= 80 ? age : null;
+    result.want_net = result.want_net === true;
+    result.no_tax_card = result.no_tax_card === true;
+    result.union_member = result.union_member === true;
+
+    // нормализуем язык
+    if (!result.user_language) result.user_language = "ru";
+
+    return result;
+  } catch (err) {
     console.error("classifyMessageAI error:", err);
     return base;
   }
@@ -284,6 +1354,146 @@ async function translateWithOpenAI(text, targetLang, sourceLang) {
   return resp.choices[0]?.message?.content?.trim() || "";
 }
 
+// ===== ГОЛОСОВЫЕ СООБЩЕНИЯ (распознавание речи) =====
+// Провайдер выбирается через TRANSCRIBE_PROVIDER; "stub" — для локальной
+// разработки без OpenAI (возвращает TRANSCRIBE_STUB_TEXT).
+
+const AUDIO_EXTENSIONS = {
+  "audio/ogg": "ogg",
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "audio/aac": "aac",
+  "audio/amr": "amr",
+};
+
+async function transcribeWithOpenAI(buffer, mimeType) {
+  const ext = AUDIO_EXTENSIONS[mimeType.split(";")[0]] || "ogg";
+  const form = new FormData();
+  form.append("file", buffer, { filename: `voice.${ext}`, contentType: mimeType });
+  form.append("model", TRANSCRIBE_MODEL);
+
+  const resp = await axios.post("https://api.openai.com/v1/audio/transcriptions", form, {
+    headers: { ...form.getHeaders(), Authorization: "Bearer " + OPENAI_API_KEY },
+    maxBodyLength: Infinity,
+    timeout: 60000,
+  });
+  return (resp.data?.text || "").trim();
+}
+
+async function transcribeStub() {
+  return process.env.TRANSCRIBE_STUB_TEXT || "";
+}
+
+const TRANSCRIBERS = {
+  openai: transcribeWithOpenAI,
+  stub: transcribeStub,
+};
+
+async function transcribeAudio(buffer, mimeType) {
+  const transcribe = TRANSCRIBERS[TRANSCRIBE_PROVIDER] || TRANSCRIBERS.openai;
+  return transcribe(buffer, mimeType);
+}
+
+async function handleVoiceMessage(from, audio) {
+  const lang = userState.get(from)?.user_language || "en";
+
+  let text = "";
+  try {
+    const { buffer, mimeType } = await downloadWhatsAppMedia(audio.id);
+    text = await transcribeAudio(buffer, audio.mime_type || mimeType);
+  } catch (err) {
+    console.error("Voice message error:", err?.response?.data || err.message);
+  }
+
+  if (!text) {
+    const sorry = "Sorry, I couldn't understand the voice message. Please try again or write it as text.";
+    await sendText(from, lang === "en" ? sorry : await translateWithOpenAI(sorry, lang));
+    return;
+  }
+
+  console.log("Transcribed:", from, text);
+  // показываем, что услышали, чтобы человек мог поправить
+  await sendText(from, `🎤 «${text}»`);
+  await handleIncoming(from, text);
+}
+
+// ===== ФОТО (пятна, поверхности, этикетки химии) =====
+// Ответ строится только по kb/chemicals*.md: средство SOL + дозировка + СИЗ.
+const CHEMICAL_KB_FILES = ["chemicals.md", "chemicals-simple.md"];
+
+async function handleImageMessage(from, image) {
+  const st = userState.get(from) || {};
+  const caption = (image.caption || "").trim();
+  const userLang = st.user_language || "en";
+
+  // как в handleIncoming: 24-часовое окно WhatsApp и история диалога
+  if (caption) st.lastUserText = caption;
+  st.lastInboundAt = Date.now();
+  userState.appendHistory(from, "user", caption ? `📷 ${caption}` : "📷 [photo]");
+  userState.set(from, st);
+
+  let reply;
+  try {
+    const { buffer, mimeType } = await downloadWhatsAppMedia(image.id);
+    const dataUrl = `data:${image.mime_type || mimeType};base64,${buffer.toString("base64")}`;
+
+    if (!KB_CACHE.files.length) loadKbFiles();
+    const chemicals = KB_CACHE.files
+      .filter(f => CHEMICAL_KB_FILES.includes(f.name))
+      .map(f => `# File: ${f.name}\n${f.content}`)
+      .join("\n\n");
+
+    const sys = `
+Ты ассистент SOL для уборщиков. Пользователь прислал фото
+(пятно, известковый налёт, жир, ржавчина, поверхность или этикетка средства).
+
+1) Коротко скажи, что на фото за проблема (например: известковый налёт, жир,
+   ржавчина, органика) и какая поверхность, если это видно.
+2) Посоветуй подходящее средство SOL ТОЛЬКО из документов ниже
+   (Kasperi, Sanitop, Biorine, Sartek 2, Tehopuhdistaja, Yleispuhdistaja, Window, Astianpesu)
+   и его дозировку из документов (мл на литр). Не выдумывай средства и дозировки.
+3) Учитывай "Нельзя / осторожно": не советуй кислоту для мрамора, натурального камня,
+   алюминия и т.п. Никогда не советуй смешивать средства.
+4) Если на фото этикетка — скажи, что это за средство, для чего оно и как его разводить.
+5) Если по фото нельзя понять проблему — честно скажи и попроси фото ближе / описание.
+6) ОБЯЗАТЕЛЬНО напомни про СИЗ (перчатки, очки) и инструкцию на упаковке.
+
+Ответ на языке пользователя (${userLang}${caption ? ", или на языке подписи к фото" : ""}),
+коротко и по делу.
+
+=== DOCUMENTS ===
+${chemicals}
+`;
+
+    const resp = await openai.chat.completions.create({
+      model: OPENAI_VISION_MODEL,
+      temperature: 0.2,
+      messages: [
+        { role: "system", content: sys },
+        {
+          role: "user",
+          content: [
+            { type: "text", text: caption || "What is this and what should I use?" },
+            { type: "image_url", image_url: { url: dataUrl } },
+          ],
+        },
+      ],
+    });
+    reply = resp.choices[0]?.message?.content?.trim() || "";
+  } catch (err) {
+    console.error("Image message error:", err?.response?.data || err.message);
+  }
+
+  if (!reply) {
+    const sorry = "Sorry, I couldn't look at this photo. Please try again or describe the problem in text.";
+    reply = userLang === "en" ? sorry : await translateWithOpenAI(sorry, userLang);
+  }
+
+  st.lastBotText = reply;
+  userState.set(from, st);
+  await sendText(from, reply);
+}
+
 // ===== Общий "умный" ответ (без KB, пока просто ИИ) =====
 async function smartAssistantReply(message, userLang) {
   const sys = `
@@ -305,97 +1515,1880 @@ async function smartAssistantReply(message, userLang) {
   return resp.choices[0]?.message?.content?.trim() || "";
 }
 
-// ===== KB SOL (embeddings + поиск по md-файлам) =====
-import fs from "fs";
-import path from "path";
-
-// Кэш embeddings, чтобы не пересчитывать при каждом запросе
-const KB_CACHE = {
-  files: [],
-  embeddings: [],
-  loaded: false,
+// ===== PAM TES: расчёт оплаты с надбавками =====
+// Надбавки берём из таблицы "Дополнительные надбавки" (kb/pam.md, раздел 12),
+// см. parsePamSupplements. Эти значения — только запасные, если строки в KB нет.
+const PAM_SUPPLEMENTS = {
+  evening: 0.71,       // вечер 18:00–23:00, €/ч
+  night: 1.32,         // ночь 23:00–06:00, €/ч
+  sunday: 1.0,         // воскресенье и праздники, +100 %
+  experience10y: 0.3,  // стаж больше 10 лет, €/ч
 };
-const KB_CHUNK_SIZE = 1500;       // размер кусочка в символах
-const KB_CHUNK_OVERLAP = 200;     // перекрытие между кусками
-// Помощник для формирования запроса в KB с учётом контекста
-function buildKbQuery(message, st = {}) {
-  const m = (message || "").trim();
-  // ВРЕМЕННО: не приклеиваем предыдущий вопрос, чтобы не путать темы
-  return m;
+
+// поля маршрутизатора с часами по видам работы
+const PAY_HOUR_FIELDS = ["ordinary_hours", "evening_hours", "night_hours", "sunday_hours"];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
 }
 
-  // Если пользователь написал короткое уточнение,
-  // и у нас уже был предыдущий вопрос в KB —
-  // отправим оба: старый + уточнение.
-//  if (m.length > 0 && m.length <= 60 && st.lastKbQuery) {
-//    return `Previous user question: "${st.lastKbQuery}".\nUser clarifies: "${m}".`;
-//  }
+// 13.52 -> "13,52" (как в примерах PAM)
+function fmtEur(n) {
+  return n.toFixed(2).replace(".", ",");
+}
 
-  // Иначе — просто берём текущий текст
-//  return m;
-//}
+function fmtHours(n) {
+  return String(n).replace(".", ",");
+}
 
+// Детерминированный расчёт по видам часов (как в Приложении 2 PAM).
+// Каждый вид часов оплачивается отдельно: ставка + надбавка.
+function calcPamPay({
+  rate,
+  ordinary_hours,
+  evening_hours,
+  night_hours,
+  sunday_hours,
+  experience_over_10y,
+}) {
+  const supplements = getPamSupplements();
+  const lines = [];
+  const add = (kind, hours, unitRate) => {
+    if (!hours) return;
+    lines.push({ kind, hours, unitRate: round2(unitRate), amount: round2(hours * unitRate) });
+  };
 
-// Читаем все md-файлы из папки kb
-function loadKbFiles() {
-  const kbDir = path.resolve(KB_FILES);
-  const files = fs.readdirSync(kbDir).filter(f => f.endsWith(".md"));
+  add("ordinary", ordinary_hours, rate);
+  add("evening", evening_hours, rate + supplements.evening);
+  add("night", night_hours, rate + supplements.night);
+  add("sunday", sunday_hours, rate * (1 + supplements.sunday));
 
-  KB_CACHE.files = files.map(f => {
-    const content = fs.readFileSync(path.join(kbDir, f), "utf8");
-    return { name: f, content };
+  if (experience_over_10y) {
+    const allHours =
+      (ordinary_hours || 0) + (evening_hours || 0) + (night_hours || 0) + (sunday_hours || 0);
+    add("experience", allHours, supplements.experience10y);
+  }
+
+  const total = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  return { rate, lines, total };
+}
+
+// Текст расчёта построчно: "10 × (13,52 + 0,71) = 142,30 €"
+function formatPamPayBreakdown({ rate, lines, total }, rateLabel = "") {
+  const supplements = getPamSupplements();
+  const labels = {
+    ordinary: "Ordinary hours",
+    evening: `Evening hours 18–23 (+${fmtEur(supplements.evening)} €/h)`,
+    night: `Night hours 23–06 (+${fmtEur(supplements.night)} €/h)`,
+    sunday: `Sunday / public holiday hours (+${Math.round(supplements.sunday * 100)} %)`,
+    experience: `Experience over 10 years (+${fmtEur(supplements.experience10y)} €/h)`,
+  };
+
+  const rows = lines.map(l => {
+    let formula;
+    if (l.kind === "ordinary") formula = `${fmtHours(l.hours)} × ${fmtEur(rate)}`;
+    else if (l.kind === "evening") formula = `${fmtHours(l.hours)} × (${fmtEur(rate)} + ${fmtEur(supplements.evening)})`;
+    else if (l.kind === "night") formula = `${fmtHours(l.hours)} × (${fmtEur(rate)} + ${fmtEur(supplements.night)})`;
+    else if (l.kind === "sunday") formula = `${fmtHours(l.hours)} × (${fmtEur(rate)} × ${fmtHours(1 + supplements.sunday)})`;
+    else formula = `${fmtHours(l.hours)} × ${fmtEur(l.unitRate)}`;
+    return `${labels[l.kind]}:\n${formula} = ${fmtEur(l.amount)} €`;
   });
+
+  return `
+Hourly rate: €${fmtEur(rate)}${rateLabel}
+
+${rows.join("\n\n")}
+
+Total: ${fmtEur(total)} €
+`;
 }
 
-// создаём embeddings для всех файлов
-async function buildKbEmbeddings() {
+// ===== НЕТТО: налог и обязательные удержания =====
+// Ставки удержаний по годам. Новый год = новая запись сверху,
+// старые не трогаем, чтобы расчёты за прошлые периоды не поменялись.
+const PAYROLL_DEDUCTIONS = [
+  {
+    validFrom: "2025-01-01",
+    tyel: 7.15,            // пенсионный взнос работника TyEL, %
+    tyel53to62: 8.65,      // TyEL для возраста 53–62 лет, %
+    unemployment: 0.89,    // страхование по безработице, %
+    pamDues: 1.3,          // членский взнос PAM, % от брутто
+    noTaxCardRate: 60,     // удержание без verokortti (kb/sol_guide.md), %
+  },
+];
+
+function findPayrollDeductions(dateIso = todayIso()) {
+  return (
+    PAYROLL_DEDUCTIONS.find(d => d.validFrom <= dateIso) ||
+    PAYROLL_DEDUCTIONS[PAYROLL_DEDUCTIONS.length - 1]
+  );
+}
+
+// Оценка "на руки": все проценты считаются от брутто
+function calcNetPay(gross, { taxRate = null, noTaxCard = false, unionMember = false, age = null, dateIso } = {}) {
+  const cfg = findPayrollDeductions(dateIso);
+  const lines = [];
+  const add = (kind, percent) => {
+    lines.push({ kind, percent, amount: round2((gross * percent) / 100) });
+  };
+
+  // 60 % — только если пользователь сам сказал, что налоговой карточки нет;
+  // процент не назван — налог не вычитаем и просим его (taxMissing)
+  const taxMissing = noTaxCard !== true && typeof taxRate !== "number";
+  if (noTaxCard === true) add("tax_no_card", cfg.noTaxCardRate);
+  else if (!taxMissing) add("tax", taxRate);
+
+  add("tyel", age >= 53 && age <= 62 ? cfg.tyel53to62 : cfg.tyel);
+  add("unemployment", cfg.unemployment);
+  if (unionMember) add("pam", cfg.pamDues);
+
+  const net = round2(gross - lines.reduce((sum, l) => sum + l.amount, 0));
+  return { gross, lines, net, taxMissing, configFrom: cfg.validFrom };
+}
+
+function formatNetPay({ gross, lines, net, taxMissing, configFrom }) {
+  const labels = {
+    tax: "Tax withholding (tax card)",
+    tax_no_card: "Tax withholding without a tax card",
+    tyel: "TyEL pension contribution",
+    unemployment: "Unemployment insurance",
+    pam: "PAM union fee",
+  };
+  const rows = lines.map(l => `• ${labels[l.kind]} ${fmtHours(l.percent)} %: −${fmtEur(l.amount)} €`);
+  if (taxMissing) {
+    rows.unshift("• Tax withholding: NOT included — tell me the percentage on your tax card (verokortti)");
+  }
+
+  return `
+Net estimate (from gross ${fmtEur(gross)} €):
+${rows.join("\n")}
+≈ Net pay${taxMissing ? " before tax withholding" : ""}: ${fmtEur(net)} €
+(deduction rates valid from ${isoToFiDate(configFrom)}; the final amount is on your payslip)
+`;
+}
+
+// ===== PAM TES: таблицы часовых ставок из KB =====
+// Таблицы "### С 1.8.2025" + "| Группа | Баллы | €/ч |" в kb/pam.md
+// разбираются при загрузке KB, поэтому новый TES = правка markdown.
+
+// сегодняшняя дата по Финляндии: "YYYY-MM-DD"
+function todayIso() {
+  return new Intl.DateTimeFormat("sv-SE", { timeZone: "Europe/Helsinki" }).format(new Date());
+}
+
+function isIsoDate(v) {
+  return typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+}
+
+// "2025-08-01" + 3 дня -> "2025-08-04"
+function addDaysIso(iso, days) {
+  const d = new Date(iso + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// "2025-01-31" + 1 месяц -> "2025-02-28" (конец месяца не "перепрыгивает")
+function addMonthsIso(iso, months) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+// дней между двумя датами
+function fullDaysBetween(fromIso, toIso) {
+  return Math.round((Date.parse(toIso + "T00:00:00Z") - Date.parse(fromIso + "T00:00:00Z")) / 86400000);
+}
+
+// полных лет между двумя датами (стаж)
+function fullYearsBetween(fromIso, toIso) {
+  const [fy, fm, fd] = fromIso.split("-").map(Number);
+  const [ty, tm, td] = toIso.split("-").map(Number);
+  let years = ty - fy;
+  if (tm < fm || (tm === fm && td < fd)) years--;
+  return Math.max(0, years);
+}
+
+// "1.8.2025" -> "2025-08-01"
+function fiDateToIso(str) {
+  const m = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec((str || "").trim());
+  if (!m) return null;
+  return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+}
+
+// "2025-08-01" -> "1.8.2025"
+function isoToFiDate(iso) {
+  const [y, m, d] = iso.split("-");
+  return `${Number(d)}.${Number(m)}.${y}`;
+}
+
+function parsePamRateTables(markdown) {
+  const tables = [];
+  let current = null;
+
+  for (const rawLine of (markdown || "").split("\n")) {
+    const line = rawLine.trim();
+
+    const heading = /^#{2,4}\s+С\s+(\d{1,2}\.\d{1,2}\.\d{4})/.exec(line);
+    if (heading) {
+      current = { validFrom: fiDateToIso(heading[1]), groups: [] };
+      tables.push(current);
+      continue;
+    }
+    if (!current) continue;
+
+    // строка таблицы: | 4 | 25–28 | 13,52 |
+    if (line.startsWith("|")) {
+      const cells = line.split("|").slice(1, -1).map(c => c.trim());
+      const group = parseInt(cells[0], 10);
+      const rate = parseFloat((cells[2] || "").replace(",", "."));
+      if (cells.length < 3 || !isFinite(group) || !isFinite(rate)) continue;
+
+      const points = /(\d+)\s*[–-]\s*(\d+)/.exec(cells[1]);
+      const note = /\(([^)]+)\)/.exec(cells[1]);
+      current.groups.push({
+        group,
+        points: points ? { min: Number(points[1]), max: Number(points[2]) } : null,
+        note: note ? note[1] : null,
+        rate,
+      });
+      continue;
+    }
+
+    // таблица закончилась
+    if (line && current.groups.length) current = null;
+  }
+
+  return tables
+    .filter(t => t.validFrom && t.groups.length)
+    .sort((a, b) => a.validFrom.localeCompare(b.validFrom));
+}
+
+// Таблица "Дополнительные надбавки": | Вечернее время (18:00–23:00) | +0.71 |
+// Проценты ("+100 %") возвращаем долей (1.0), остальное — €/ч.
+const PAM_SUPPLEMENT_ROWS = [
+  { key: "evening", match: /вечерн/i },
+  { key: "night", match: /ночн/i },
+  { key: "sunday", match: /воскресен/i },
+  { key: "experience10y", match: /опыт|стаж/i },
+];
+
+function parsePamSupplements(markdown) {
+  const supplements = {};
+  let inTable = false;
+
+  for (const rawLine of (markdown || "").split("\n")) {
+    const line = rawLine.trim();
+
+    if (/^#{2,4}\s+Дополнительные надбавки/i.test(line)) {
+      inTable = true;
+      continue;
+    }
+    if (!inTable) continue;
+    if (line.startsWith("#")) break;
+    if (!line.startsWith("|")) continue;
+
+    const cells = line.split("|").slice(1, -1).map(c => c.trim());
+    const value = /([\d]+(?:[.,]\d+)?)\s*(%)?/.exec(cells[1] || "");
+    const row = PAM_SUPPLEMENT_ROWS.find(r => r.match.test(cells[0] || ""));
+    if (!value || !row || row.key in supplements) continue;
+
+    const n = parseFloat(value[1].replace(",", "."));
+    supplements[row.key] = value[2] ? n / 100 : n;
+  }
+
+  return supplements;
+}
+
+// надбавки из KB; чего в KB нет — из PAM_SUPPLEMENTS
+function getPamSupplements() {
   if (!KB_CACHE.files.length) loadKbFiles();
+  return { ...PAM_SUPPLEMENTS, ...KB_CACHE.paySupplements };
+}
 
-  const model = "text-embedding-3-small";
-  KB_CACHE.embeddings = [];
+function getPamRateTables() {
+  if (!KB_CACHE.files.length) loadKbFiles();
+  return KB_CACHE.payTables;
+}
 
-  for (const file of KB_CACHE.files) {
-    const full = (file.content || "").trim();
-    if (!full) continue;
-
-    // режем файл на куски с overlap
-    const chunks = [];
-    for (
-      let i = 0;
-      i < full.length;
-      i += KB_CHUNK_SIZE - KB_CHUNK_OVERLAP
-    ) {
-      const chunk = full.slice(i, i + KB_CHUNK_SIZE);
-      if (chunk.trim()) {
-        chunks.push(chunk);
-      }
+// таблица, действующая на дату (последняя с validFrom <= date)
+function findPamRateTable(dateIso = todayIso()) {
+  const inForce = getPamRateTables().filter(t => t.validFrom <= dateIso);
+  return inForce.length ? inForce[inForce.length - 1] : null;
+}
+
+function getPamGroupRate(group, dateIso = todayIso()) {
+  const table = findPamRateTable(dateIso);
+  const row = table?.groups.find(g => g.group === group);
+  if (!row) return null;
+  return { ...row, validFrom: table.validFrom };
+}
+
+// ===== БОЛЬНИЧНЫЙ: расчёт оплаты =====
+// kb/health-insurance.md §5: стаж меньше 2 лет — первый день не оплачивается,
+// платят по часам из графика на этот день.
+// kb/pam.md §16: работодатель платит не дольше 9 / 28 / 56 календарных дней.
+const SICK_PAY_RULES = {
+  firstDayPaidFromYears: 2,
+  employerDaysBySeniority: [
+    { minYears: 5, days: 56 },
+    { minYears: 3, days: 28 },
+    { minYears: 0, days: 9 },
+  ],
+};
+
+function calcSickPay({ startDate, dayHours, rate, employmentStart }) {
+  const seniorityYears = fullYearsBetween(employmentStart, startDate);
+  const firstDayPaid = seniorityYears >= SICK_PAY_RULES.firstDayPaidFromYears;
+  const employerDays = SICK_PAY_RULES.employerDaysBySeniority.find(
+    r => seniorityYears >= r.minYears
+  ).days;
+
+  const days = dayHours.map((hours, i) => {
+    const date = addDaysIso(startDate, i);
+    let status = "paid";
+    if (i >= employerDays) status = "kela";
+    else if (i === 0 && !firstDayPaid) status = "unpaid_first_day";
+    else if (!hours) status = "not_scheduled";
+
+    const amount = status === "paid" ? round2(hours * rate) : 0;
+    return { date, hours, status, amount };
+  });
+
+  return {
+    seniorityYears,
+    firstDayPaid,
+    employerDays,
+    days,
+    total: round2(days.reduce((sum, d) => sum + d.amount, 0)),
+    kelaFrom: addDaysIso(startDate, employerDays),
+  };
+}
+
+function formatSickPay(sick, rate) {
+  const rows = sick.days.map(d => {
+    const date = isoToFiDate(d.date);
+    if (d.status === "paid") return `• ${date}: ${fmtHours(d.hours)} h × ${fmtEur(rate)} = ${fmtEur(d.amount)} €`;
+    if (d.status === "unpaid_first_day") return `• ${date}: ${fmtHours(d.hours)} h — not paid (first sick day)`;
+    if (d.status === "not_scheduled") return `• ${date}: no shift in the schedule — 0 €`;
+    return `• ${date}: employer pay period is over — Kela`;
+  });
+  // про Kela — только если больничный длится дольше периода работодателя
+  const kelaLine = sick.days.some(d => d.status === "kela")
+    ? `\nFrom ${isoToFiDate(sick.kelaFrom)} Kela sickness allowance (sairauspäiväraha) takes over.`
+    : "";
+
+  return `
+Sick leave from ${isoToFiDate(sick.days[0].date)}, ${sick.days.length} day(s)
+Seniority in SOL: ${sick.seniorityYears} full year(s)
+• First sick day: ${sick.firstDayPaid ? "paid (2+ years)" : "NOT paid (under 2 years)"}
+• Employer pays up to ${sick.employerDays} calendar days (PAM TES §16)
+• Pay follows the hours in your schedule for each day
+
+${rows.join("\n")}
+
+Total sick pay from the employer: ${fmtEur(sick.total)} €
+${kelaLine}
+💬 Amounts are BEFORE taxes.
+`;
+}
+
+// ===== БОЛЬНИЧНЫЙ: сообщение руководителю =====
+// kb/sol_guide.md §3: oma-ilmoitus до 3 дней, но руководитель может попросить справку.
+// kb/health-insurance.md §2–3: до 5 дней без справки, дольше — только через Terveystalo.
+const SICK_REPORT_RULES = {
+  omaIlmoitusDays: 3,
+  withoutCertificateDays: 5,
+};
+const SICK_REPORT_FLOW_TTL_MS = 24 * 60 * 60 * 1000; // незаконченный диалог забываем через сутки
+const SICK_LEAVE_HISTORY_DAYS = 365;
+
+// Незаконченное сообщение о болезни (st.sickReport) или новое
+function activeSickReport(st) {
+  const report = st.sickReport;
+  if (report && Date.now() - report.at < SICK_REPORT_FLOW_TTL_MS) return report;
+  return { start: null, days: null };
+}
+
+// Новый больничный продолжает предыдущий, если начинается не позже следующего дня после него.
+// st.sickLeaves не меняет: возвращает { leaves, leave }, leave = { start, end, days, previousDays }
+function mergeSickLeave(sickLeaves, start, days) {
+  const end = addDaysIso(start, days - 1);
+  const leaves = (sickLeaves || [])
+    .filter(l => fullDaysBetween(l.end, todayIso()) <= SICK_LEAVE_HISTORY_DAYS)
+    .map(l => ({ ...l }));
+
+  const last = leaves[leaves.length - 1];
+  let leave;
+  if (last && start >= last.start && start <= addDaysIso(last.end, 1)) {
+    leave = last;
+    leave.previousDays = last.days;
+    if (end > leave.end) leave.end = end;
+  } else {
+    leave = { start, end, previousDays: 0 };
+    leaves.push(leave);
+  }
+  leave.days = fullDaysBetween(leave.start, leave.end) + 1;
+  return { leaves, leave };
+}
+
+function sickLeaveNeedsCertificate(days) {
+  return days > SICK_REPORT_RULES.withoutCertificateDays;
+}
+
+function formatSickReportRequirements(leave) {
+  const lines = [
+    `Sick leave from ${isoToFiDate(leave.start)} to ${isoToFiDate(leave.end)} — ${leave.days} day(s).`,
+  ];
+  if (leave.previousDays) {
+    lines.push(`This continues your earlier report (${leave.previousDays} day(s) so far). Sundays count too.`);
+  }
+
+  lines.push(
+    "",
+    "What you need to do:",
+    "• 📞 Call your supervisor personally — a chat message alone is not enough.",
+    "• Tell your supervisor every day that you are still sick."
+  );
+
+  if (leave.days <= SICK_REPORT_RULES.omaIlmoitusDays) {
+    lines.push(
+      `• You can use oma-ilmoitus (self-report) for up to ${SICK_REPORT_RULES.omaIlmoitusDays} days, but your supervisor may still ask for a certificate.`,
+      "• After you are back, fill in the omailmoitus-lomake together with your supervisor."
+    );
+  } else if (!sickLeaveNeedsCertificate(leave.days)) {
+    lines.push(
+      `• Oma-ilmoitus covers only ${SICK_REPORT_RULES.omaIlmoitusDays} days — from day ${SICK_REPORT_RULES.omaIlmoitusDays + 1} your supervisor may ask for a doctor's certificate.`,
+      `• Without a certificate you can be off at most ${SICK_REPORT_RULES.withoutCertificateDays} days.`
+    );
+  } else {
+    lines.push(
+      `• ⚠️ More than ${SICK_REPORT_RULES.withoutCertificateDays} days — a doctor's certificate is MANDATORY.`,
+      "• First ask your supervisor for a referral (työterveys) and a payment commitment (maksusitoumus).",
+      "• Then book Terveystalo — only by phone.",
+      "• Give the certificate to your supervisor."
+    );
+  }
+
+  lines.push("", "Sources: SOL guide — 3. Sick leave; SOL / Terveystalo — 2–3.");
+  return lines.join("\n");
+}
+
+// Структурированное сообщение руководителю
+function formatSickReportForSupervisor(phone, emp, leave) {
+  return [
+    "🤒 Sick leave report",
+    `Employee: ${emp?.name || "—"} (+${normalizePhone(phone)})`,
+    emp?.site ? `Site: ${emp.site}` : null,
+    `First day: ${isoToFiDate(leave.start)}`,
+    `Expected until: ${isoToFiDate(leave.end)} (${leave.days} day(s))`,
+    leave.previousDays ? `Extends the earlier report (${leave.previousDays} day(s))` : null,
+    sickLeaveNeedsCertificate(leave.days)
+      ? `⚠️ Over ${SICK_REPORT_RULES.withoutCertificateDays} days — needs työterveys referral and maksusitoumus for Terveystalo`
+      : `Oma-ilmoitus: ${leave.days <= SICK_REPORT_RULES.omaIlmoitusDays ? "yes" : "certificate may be requested"}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Сначала отправка руководителю, потом запись дней. Не дошло — сообщение остаётся
+// неотправленным (st.sickReport, шаг "confirm"), и сотрудник знает, что надо звонить.
+async function submitSickReport(from, st, report) {
+  const emp = getEmployee(from);
+  const { leaves, leave } = mergeSickLeave(st.sickLeaves, report.start, report.days);
+  const supervisor = emp?.supervisor || "your supervisor";
+
+  let base = formatSickReportRequirements(leave);
+  if (emp?.supervisor_phone) {
+    let delivered = false;
+    try {
+      delivered = await sendProactive(emp.supervisor_phone, formatSickReportForSupervisor(from, emp, leave), WA_TEMPLATE_SICK_REPORT);
+    } catch (err) {
+      console.error("Sick report send error:", err);
     }
 
-    // если по какой-то причине ничего не получилось — пропускаем файл
-    if (!chunks.length) continue;
+    if (!delivered) {
+      console.warn("Sick leave report NOT delivered:", normalizePhone(from), leave.start, leave.days);
+      st.sickReport = { ...report, step: "confirm", at: Date.now() };
+      userState.set(from, st);
+      return `⚠️ I could NOT deliver your sick leave report to ${supervisor}. Please call ${supervisor} now.\nReply "yes" if you want me to try sending it again.\n\n` + base;
+    }
 
-    // одним запросом эмбеддим все чанки этого файла
-    const resp = await openai.embeddings.create({
-      model,
-      input: chunks,
-    });
+    console.log("Sick leave reported:", normalizePhone(from), leave.start, leave.days);
+    base = `✅ I have sent your sick leave report to ${supervisor}.\n\n` + base;
+  } else {
+    base = "I don't have your supervisor's number, so I could not send the report.\n\n" + base;
+  }
 
-    resp.data.forEach((item, idx) => {
-      KB_CACHE.embeddings.push({
-        name: file.name,
-        embedding: item.embedding,
-        content: chunks[idx],
-      });
-    });
+  leave.reportedAt = new Date().toISOString();
+  st.sickLeaves = leaves;
+  delete st.sickReport;
+  userState.set(from, st);
+  return base;
+}
+
+// ===== ОТПУСК И УВОЛЬНЕНИЕ: расчёты по PAM TES =====
+// kb/pam.md §15: накопление отпуска в днях за месяц работы по стажу
+const LEAVE_ACCRUAL_RULES = [
+  { minYears: 5, daysPerMonth: 3 },
+  { minYears: 1, daysPerMonth: 2.5 },
+  { minYears: 0, daysPerMonth: 2 },
+];
+// Vuosilomalaki (не PAM TES): месяц засчитывается, если в нём отработано не меньше 14 дней.
+// Отработанных дней мы не знаем — считаем дни занятости, поэтому результат — оценка сверху.
+const LEAVE_MIN_DAYS_PER_MONTH = 14;
+
+// kb/pam.md §26: сроки уведомления
+const NOTICE_RULES = {
+  employer: [
+    { minYears: 12, months: 6 },
+    { minYears: 8, months: 4 },
+    { minYears: 4, months: 2 },
+    { minYears: 1, months: 1 },
+    { minYears: 0, days: 14 },
+  ],
+  employee: [
+    { minYears: 5, months: 1 },
+    { minYears: 0, days: 14 },
+  ],
+};
+
+// по умолчанию — текущий отпускной год 1.4–31.3 до сегодняшнего дня
+function defaultLeavePeriod(todayStr = todayIso()) {
+  const [y, m] = todayStr.split("-").map(Number);
+  const startYear = m >= 4 ? y : y - 1;
+  return { start: `${startYear}-04-01`, end: todayStr };
+}
+
+// Незаконченный месяц (periodEnd внутри месяца) не считается, он попадает в openMonth.
+function calcLeaveAccrual({ employmentStart, periodStart, periodEnd }) {
+  const from = employmentStart > periodStart ? employmentStart : periodStart;
+  const months = [];
+  let openMonth = null;
+
+  let [y, m] = from.split("-").map(Number);
+  while (true) {
+    const monthStart = `${y}-${String(m).padStart(2, "0")}-01`;
+    if (monthStart > periodEnd) break;
+    const monthEnd = addDaysIso(addMonthsIso(monthStart, 1), -1);
+    if (monthEnd > periodEnd) {
+      openMonth = monthStart.slice(0, 7);
+      break;
+    }
+
+    const workedFrom = from > monthStart ? from : monthStart;
+    const workedDays = fullDaysBetween(workedFrom, monthEnd) + 1;
+
+    if (workedDays >= LEAVE_MIN_DAYS_PER_MONTH) {
+      const seniority = fullYearsBetween(employmentStart, monthEnd);
+      const rule = LEAVE_ACCRUAL_RULES.find(r => seniority >= r.minYears);
+      months.push({ month: monthStart.slice(0, 7), daysPerMonth: rule.daysPerMonth });
+    }
+
+    m++;
+    if (m > 12) {
+      m = 1;
+      y++;
+    }
+  }
+
+  return {
+    from,
+    to: periodEnd,
+    months,
+    openMonth,
+    totalDays: months.reduce((sum, x) => sum + x.daysPerMonth, 0),
+  };
+}
+
+function formatLeaveAccrual(leave) {
+  // группируем месяцы с одинаковой нормой: "9 months × 2,5 days"
+  const groups = [];
+  for (const x of leave.months) {
+    const last = groups[groups.length - 1];
+    if (last && last.daysPerMonth === x.daysPerMonth) last.count++;
+    else groups.push({ daysPerMonth: x.daysPerMonth, count: 1 });
+  }
+  const rows = groups.map(
+    g => `• ${g.count} month(s) × ${fmtHours(g.daysPerMonth)} days = ${fmtHours(g.count * g.daysPerMonth)} days`
+  );
+
+  const [openYear, openMonth] = (leave.openMonth || "").split("-");
+
+  return `
+Annual leave earned ${isoToFiDate(leave.from)} – ${isoToFiDate(leave.to)}:
+${rows.length ? rows.join("\n") : "• no completed months in this period yet"}${
+    leave.openMonth ? `\n• ${Number(openMonth)}/${openYear} is not over yet — not counted` : ""
+  }
+
+Total: up to ${fmtHours(leave.totalDays)} days of annual leave
+This is an upper estimate: a month counts only if you actually worked at least ${LEAVE_MIN_DAYS_PER_MONTH} days in it
+(Annual Holidays Act, vuosilomalaki), so long sick or unpaid leave can lower it. Your payslip shows the exact balance.
+
+Sources: PAM TES §15 — under 1 year 2 days/month, 1–5 years 2,5 days/month, over 5 years 3 days/month; vuosilomalaki — the ${LEAVE_MIN_DAYS_PER_MONTH}-day rule.
+`;
+}
+
+function calcNoticePeriod({ employmentStart, noticeDate, noticeBy }) {
+  const seniorityYears = fullYearsBetween(employmentStart, noticeDate);
+  const rule = NOTICE_RULES[noticeBy].find(r => seniorityYears >= r.minYears);
+  const lastDay = rule.months ? addMonthsIso(noticeDate, rule.months) : addDaysIso(noticeDate, rule.days);
+  return { seniorityYears, noticeBy, noticeDate, rule, lastDay };
+}
+
+function formatNoticePeriod(notice) {
+  const length = notice.rule.months ? `${notice.rule.months} month(s)` : `${notice.rule.days} days`;
+  const who = notice.noticeBy === "employee" ? "you resign" : "the employer terminates the contract";
+
+  return `
+Notice period when ${who}:
+• Seniority on ${isoToFiDate(notice.noticeDate)}: ${notice.seniorityYears} full year(s)
+• Notice period: ${length}
+• Notice given: ${isoToFiDate(notice.noticeDate)}
+• Last working day: ${isoToFiDate(notice.lastDay)}
+
+Source: PAM TES §26 (notice periods).
+`;
+}
+
+// ===== КАЛЕНДАРЬ: праздники Финляндии и дни выплаты =====
+// Праздники — kb/pam.md §21, дни выплаты — kb/sol_guide.md §2:
+// работа 1–15 → выплата 25-го, работа 16–31 → выплата 10-го следующего месяца.
+// Если день выплаты выпадает на выходной или праздник — платят в предыдущий рабочий день.
+
+const HOLIDAY_CACHE = new Map(); // год -> [{ date, name }]
+
+// Пасха (григорианский календарь), "YYYY-MM-DD"
+function easterSundayIso(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+function weekdayIso(iso) {
+  return new Date(iso + "T00:00:00Z").getUTCDay(); // 0 = воскресенье
+}
+
+function finnishHolidays(year) {
+  if (HOLIDAY_CACHE.has(year)) return HOLIDAY_CACHE.get(year);
+
+  const easter = easterSundayIso(year);
+  // Juhannus: суббота между 20 и 26 июня, накануне — Juhannusaatto
+  let midsummer = `${year}-06-20`;
+  while (weekdayIso(midsummer) !== 6) midsummer = addDaysIso(midsummer, 1);
+  // Pyhäinpäivä: суббота между 31 октября и 6 ноября
+  let allSaints = `${year}-10-31`;
+  while (weekdayIso(allSaints) !== 6) allSaints = addDaysIso(allSaints, 1);
+
+  const list = [
+    { date: `${year}-01-01`, name: "New Year's Day (uudenvuodenpäivä)" },
+    { date: `${year}-01-06`, name: "Epiphany (loppiainen)" },
+    { date: addDaysIso(easter, -2), name: "Good Friday (pitkäperjantai)" },
+    { date: easter, name: "Easter Sunday (pääsiäispäivä)" },
+    { date: addDaysIso(easter, 1), name: "Easter Monday (2. pääsiäispäivä)" },
+    { date: `${year}-05-01`, name: "May Day (vappu)" },
+    { date: addDaysIso(easter, 39), name: "Ascension Day (helatorstai)" },
+    // dayOff: не официальный праздник (доплаты нет), но обычно выходной и банки закрыты
+    { date: addDaysIso(midsummer, -1), name: "Midsummer Eve (juhannusaatto)", dayOff: true },
+    { date: midsummer, name: "Midsummer Day (juhannuspäivä)" },
+    { date: allSaints, name: "All Saints' Day (pyhäinpäivä)" },
+    { date: `${year}-12-06`, name: "Independence Day (itsenäisyyspäivä)" },
+    { date: `${year}-12-24`, name: "Christmas Eve (jouluaatto)", dayOff: true },
+    { date: `${year}-12-25`, name: "Christmas Day (joulupäivä)" },
+    { date: `${year}-12-26`, name: "Boxing Day (tapaninpäivä)" },
+  ].sort((x, y) => x.date.localeCompare(y.date));
+
+  HOLIDAY_CACHE.set(year, list);
+  return list;
+}
+
+// официальный праздник (pyhäpäivä); juhannusaatto и jouluaatto сюда не входят
+function getHoliday(iso) {
+  return finnishHolidays(Number(iso.slice(0, 4))).find(h => h.date === iso && !h.dayOff) || null;
+}
+
+// праздник или выходной день без статуса праздника (juhannusaatto, jouluaatto)
+function getDayOff(iso) {
+  return finnishHolidays(Number(iso.slice(0, 4))).find(h => h.date === iso) || null;
+}
+
+function isBusinessDay(iso) {
+  const wd = weekdayIso(iso);
+  return wd !== 0 && wd !== 6 && !getDayOff(iso);
+}
+
+function previousBusinessDay(iso) {
+  let d = iso;
+  while (!isBusinessDay(d)) d = addDaysIso(d, -1);
+  return d;
+}
+
+// Период оплаты, в который входит дата, и его день выплаты
+function payPeriodFor(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const monthStart = iso.slice(0, 8) + "01";
+
+  if (d <= 15) {
+    const nominal = iso.slice(0, 8) + "25";
+    return {
+      start: monthStart,
+      end: iso.slice(0, 8) + "15",
+      nominalPayday: nominal,
+      payday: previousBusinessDay(nominal),
+    };
+  }
+
+  const nextMonth = addMonthsIso(monthStart, 1);
+  const nominal = nextMonth.slice(0, 8) + "10";
+  return {
+    start: `${y}-${String(m).padStart(2, "0")}-16`,
+    end: addDaysIso(nextMonth, -1),
+    nominalPayday: nominal,
+    payday: previousBusinessDay(nominal),
+  };
+}
+
+// ближайший день выплаты начиная с даты (включительно)
+function nextPayday(fromIso = todayIso()) {
+  // период, закончившийся в прошлом месяце, платится 10-го этого месяца
+  const prevMonthPeriod = payPeriodFor(addDaysIso(fromIso.slice(0, 8) + "01", -1));
+  const candidates = [prevMonthPeriod, payPeriodFor(fromIso.slice(0, 8) + "01"), payPeriodFor(fromIso)];
+  return candidates
+    .filter(p => p.payday >= fromIso)
+    .sort((a, b) => a.payday.localeCompare(b.payday))[0];
+}
+
+// Делим обычные часы по датам: воскресенья и праздники → часы с доплатой 100 %
+function splitHoursByCalendar(workDays) {
+  let ordinary = 0;
+  let sunday = 0;
+  const flagged = [];
+
+  for (const { date, hours } of workDays) {
+    const holiday = getHoliday(date);
+    if (holiday || weekdayIso(date) === 0) {
+      sunday += hours;
+      flagged.push({ date, hours, name: holiday ? holiday.name : "Sunday" });
+    } else {
+      ordinary += hours;
+    }
+  }
+
+  return { ordinary, sunday, flagged };
+}
+
+function formatCalendarAnswer(question, dateIso) {
+  const fi = isoToFiDate;
+
+  if (question === "is_holiday") {
+    const holiday = getHoliday(dateIso);
+    if (holiday) return `${fi(dateIso)} is a public holiday in Finland: ${holiday.name}. Work on this day is paid double (PAM TES §8, §21).`;
+    if (weekdayIso(dateIso) === 0) return `${fi(dateIso)} is a Sunday — not a public holiday, but Sunday work is paid double (PAM TES §8).`;
+    const dayOff = getDayOff(dateIso);
+    if (dayOff) return `${fi(dateIso)} is ${dayOff.name} — not an official public holiday (no holiday supplement), but usually a day off and banks are closed.`;
+    return `${fi(dateIso)} is not a public holiday in Finland.`;
+  }
+
+  if (question === "pay_period") {
+    const p = payPeriodFor(dateIso);
+    const moved = p.payday !== p.nominalPayday ? ` (moved from ${fi(p.nominalPayday)} because of a weekend/holiday)` : "";
+    return `${fi(dateIso)} belongs to the pay period ${fi(p.start)} – ${fi(p.end)}.\nPay for this period is paid on ${fi(p.payday)}${moved}.`;
+  }
+
+  if (question === "holidays") {
+    const year = Number(dateIso.slice(0, 4));
+    const rows = finnishHolidays(year).map(
+      h => `• ${fi(h.date)} — ${h.name}${h.dayOff ? " (not an official holiday, usually a day off)" : ""}`
+    );
+    return `Public holidays in Finland in ${year}:\n${rows.join("\n")}`;
+  }
+
+  const p = nextPayday(dateIso);
+  const moved = p.payday !== p.nominalPayday ? ` (moved from ${fi(p.nominalPayday)} because of a weekend/holiday)` : "";
+  return `Next payday: ${fi(p.payday)}${moved}.\nIt pays for work done ${fi(p.start)} – ${fi(p.end)}.`;
+}
+
+// ===== РАСПИСАНИЕ СМЕН (ICS / CSV) =====
+// Смены грузим из SCHEDULE_DIR и SCHEDULE_URLS:
+// - CSV: колонки phone, date, start, end, site (+ необязательные address, note, id),
+//   разделитель "," или ";", дата "YYYY-MM-DD" или "D.M.YYYY";
+// - ICS: один файл / фид на сотрудника, <телефон>.ics или "телефон=url".
+// Время храним как местное время Хельсинки: "YYYY-MM-DDTHH:MM".
+
+const SCHEDULE_CACHE = {
+  shifts: [],   // [{ id, phone, start, end, site, address, note }]
+  loadedAt: 0,
+};
+
+// "+358 40 123 4567" / "040 1234567" / "358401234567" -> "358401234567"
+function normalizePhone(raw) {
+  let p = String(raw || "").replace(/\D/g, "");
+  if (p.startsWith("00")) p = p.slice(2);
+  else if (p.startsWith("0")) p = "358" + p.slice(1);
+  return p;
+}
+
+// Date (UTC) -> "YYYY-MM-DDTHH:MM" по Хельсинки
+function toHelsinkiLocal(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: "Europe/Helsinki",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map(p => [p.type, p.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+function nowHelsinkiLocal() {
+  return toHelsinkiLocal(new Date());
+}
+
+// "20261020T070000Z" / "20261020T070000" -> местное время
+function parseIcsTime(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value || "");
+  if (!m) return null;
+  const [, y, mo, d, h = "00", mi = "00", , z] = m;
+  if (z) return toHelsinkiLocal(new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi)));
+  return `${y}-${mo}-${d}T${h}:${mi}`;
+}
+
+function unescapeIcs(value) {
+  return (value || "").replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1").trim();
+}
+
+function parseIcsShifts(text, phone) {
+  // строки, начинающиеся с пробела, — продолжение предыдущей
+  const lines = (text || "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const shifts = [];
+  let ev = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      ev = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (ev?.start && ev?.end) {
+        shifts.push({
+          id: ev.uid || `${phone}:${ev.start}`,
+          phone,
+          start: ev.start,
+          end: ev.end,
+          site: ev.site || "",
+          address: ev.address || "",
+          note: ev.note || "",
+        });
+      }
+      ev = null;
+      continue;
+    }
+    if (!ev) continue;
+
+    const idx = line.indexOf(":");
+    if (idx < 0) continue;
+    const name = line.slice(0, idx).split(";")[0].toUpperCase();
+    const value = line.slice(idx + 1);
+
+    if (name === "DTSTART") ev.start = parseIcsTime(value);
+    else if (name === "DTEND") ev.end = parseIcsTime(value);
+    else if (name === "SUMMARY") ev.site = unescapeIcs(value);
+    else if (name === "LOCATION") ev.address = unescapeIcs(value);
+    else if (name === "DESCRIPTION") ev.note = unescapeIcs(value);
+    else if (name === "UID") ev.uid = value.trim();
+  }
+
+  return shifts;
+}
+
+// CSV с заголовком -> [{ колонка: значение }], разделитель "," или ";"
+function parseCsvRows(text) {
+  const lines = (text || "").replace(/^\uFEFF/, "").split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+
+  const sep = lines[0].includes(";") ? ";" : ",";
+  const header = lines[0].split(sep).map(h => h.trim().toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const cells = line.split(sep).map(c => c.trim().replace(/^"|"$/g, ""));
+    return Object.fromEntries(header.map((h, i) => [h, cells[i] || ""]));
+  });
+}
+
+function parseCsvShifts(text) {
+  const shifts = [];
+  for (const row of parseCsvRows(text)) {
+    const get = name => row[name] || "";
+
+    const phone = normalizePhone(get("phone"));
+    const date = isIsoDate(get("date")) ? get("date") : fiDateToIso(get("date"));
+    const start = /^\d{1,2}:\d{2}$/.test(get("start")) ? get("start").padStart(5, "0") : null;
+    const end = /^\d{1,2}:\d{2}$/.test(get("end")) ? get("end").padStart(5, "0") : null;
+    if (!phone || !date || !start || !end) continue;
+
+    // смена через полночь заканчивается на следующий день
+    const endDate = end <= start ? addDaysIso(date, 1) : date;
+    shifts.push({
+      id: get("id") || `${phone}:${date}T${start}`,
+      phone,
+      start: `${date}T${start}`,
+      end: `${endDate}T${end}`,
+      site: get("site"),
+      address: get("address"),
+      note: get("note"),
+    });
+  }
+  return shifts;
+}
+
+function isIcsText(text) {
+  return (text || "").trimStart().startsWith("BEGIN:VCALENDAR");
+}
+
+async function loadScheduleSources() {
+  const shifts = [];
+
+  // 1) локальные файлы
+  const dir = path.resolve(SCHEDULE_DIR);
+  if (fs.existsSync(dir)) {
+    for (const f of fs.readdirSync(dir)) {
+      const text = fs.readFileSync(path.join(dir, f), "utf8");
+      if (f.endsWith(".csv")) shifts.push(...parseCsvShifts(text));
+      else if (f.endsWith(".ics")) shifts.push(...parseIcsShifts(text, normalizePhone(path.basename(f, ".ics"))));
+    }
+  }
+
+  // 2) удалённые фиды
+  for (const entry of SCHEDULE_URLS.split(",").map(x => x.trim()).filter(Boolean)) {
+    const eq = entry.indexOf("=");
+    const isMapped = eq > 0 && !entry.slice(0, eq).includes("/");
+    const phone = isMapped ? normalizePhone(entry.slice(0, eq)) : null;
+    const url = isMapped ? entry.slice(eq + 1) : entry;
+
+    try {
+      const resp = await axios.get(url, { responseType: "text", timeout: 15000 });
+      const text = String(resp.data || "");
+      if (isIcsText(text)) {
+        if (phone) shifts.push(...parseIcsShifts(text, phone));
+        else console.warn("Schedule: ICS feed without phone mapping skipped:", url);
+      } else {
+        shifts.push(...parseCsvShifts(text));
+      }
+    } catch (err) {
+      console.error("Schedule fetch error:", url, err.message);
+    }
+  }
+
+  return shifts.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+async function getScheduleShifts() {
+  if (!SCHEDULE_CACHE.loadedAt || Date.now() - SCHEDULE_CACHE.loadedAt > SCHEDULE_TTL_MS) {
+    const isFirstLoad = !SCHEDULE_CACHE.loadedAt;
+    const previous = SCHEDULE_CACHE.shifts;
+
+    SCHEDULE_CACHE.shifts = await loadScheduleSources();
+    SCHEDULE_CACHE.loadedAt = Date.now();
+    console.log("Schedule loaded shifts:", SCHEDULE_CACHE.shifts.length);
+
+    // изменения в уже известных сменах — сообщаем сотрудникам (не задерживая ответ)
+    if (!isFirstLoad) {
+      const changes = diffShifts(previous, SCHEDULE_CACHE.shifts);
+      if (changes.length) {
+        notifyShiftChanges(changes).catch(err => console.error("notifyShiftChanges error:", err));
+      }
+    }
+  }
+  return SCHEDULE_CACHE.shifts;
+}
+
+// Изменённые смены: тот же id с другим временем/местом,
+// либо у сотрудника на ту же дату одна смена пропала и одна появилась.
+function diffShifts(oldShifts, newShifts) {
+  const now = nowHelsinkiLocal();
+  const sameShift = (a, b) =>
+    a.start === b.start && a.end === b.end && a.site === b.site && a.address === b.address;
+
+  const oldById = new Map(oldShifts.filter(s => s.end > now).map(s => [s.id, s]));
+  const newById = new Map(newShifts.map(s => [s.id, s]));
+  const changes = [];
+
+  for (const [id, after] of newById) {
+    const before = oldById.get(id);
+    if (before && !sameShift(before, after)) changes.push({ before, after });
+  }
+
+  const removed = [...oldById.values()].filter(s => !newById.has(s.id));
+  const added = newShifts.filter(s => !oldById.has(s.id) && s.end > now);
+  const byPhoneDate = s => `${s.phone}:${s.start.slice(0, 10)}`;
+
+  for (const before of removed) {
+    const key = byPhoneDate(before);
+    const sameDayRemoved = removed.filter(s => byPhoneDate(s) === key);
+    const sameDayAdded = added.filter(s => byPhoneDate(s) === key);
+    if (sameDayRemoved.length === 1 && sameDayAdded.length === 1) {
+      changes.push({ before, after: sameDayAdded[0] });
+    }
+  }
+
+  return changes;
+}
+
+async function getShiftsForPhone(phone) {
+  const p = normalizePhone(phone);
+  return (await getScheduleShifts()).filter(s => s.phone === p);
+}
+
+function shiftHours(shift) {
+  const ms = Date.parse(shift.end + ":00Z") - Date.parse(shift.start + ":00Z");
+  return round2(ms / 3600000);
+}
+
+function formatShift(shift) {
+  const date = isoToFiDate(shift.start.slice(0, 10));
+  const time = `${shift.start.slice(11)}–${shift.end.slice(11)}`;
+  const where = [shift.site, shift.address].filter(Boolean).join(", ");
+  return `${date} ${time}${where ? `, ${where}` : ""}${shift.note ? ` (${shift.note})` : ""}`;
+}
+
+// понедельник недели, в которую входит дата
+function weekStartIso(iso) {
+  const wd = weekdayIso(iso);
+  return addDaysIso(iso, wd === 0 ? -6 : 1 - wd);
+}
+
+function formatScheduleAnswer(shifts, question, dateIso) {
+  if (question === "day") {
+    const list = shifts.filter(s => s.start.slice(0, 10) === dateIso);
+    if (!list.length) return `You have no shifts on ${isoToFiDate(dateIso)}.`;
+    return `Your shifts on ${isoToFiDate(dateIso)}:\n${list.map(s => "• " + formatShift(s)).join("\n")}`;
+  }
+
+  if (question === "week_hours") {
+    const from = weekStartIso(dateIso);
+    const to = addDaysIso(from, 6);
+    const list = shifts.filter(s => s.start.slice(0, 10) >= from && s.start.slice(0, 10) <= to);
+    const total = round2(list.reduce((sum, s) => sum + shiftHours(s), 0));
+    const rows = list.map(s => `• ${formatShift(s)} — ${fmtHours(shiftHours(s))} h`);
+    return `Week ${isoToFiDate(from)} – ${isoToFiDate(to)}: ${fmtHours(total)} h in ${list.length} shift(s)${rows.length ? "\n" + rows.join("\n") : ""}`;
+  }
+
+  const now = nowHelsinkiLocal();
+  const next = shifts.find(s => s.end > now);
+  if (!next) return "You have no upcoming shifts in the schedule.";
+  return `Your next shift: ${formatShift(next)}`;
+}
+
+// ===== РЕЕСТР СОТРУДНИКОВ (профили по номеру телефона) =====
+// Хранится в EMPLOYEES_FILE (JSON). Заполняется админом через /admin/employees,
+// сотрудник может посмотреть и поправить часть полей сам в чате.
+const EMPLOYEE_FIELDS = [
+  "name",
+  "language",
+  "pay_group",
+  "employment_start",
+  "contract_hours",
+  "site",
+  "supervisor",
+  "supervisor_phone",
+  "union_member",
+];
+// что сотрудник может менять сам (место работы и руководителя — только админ)
+const EMPLOYEE_SELF_EDITABLE = ["name", "language", "pay_group", "employment_start", "contract_hours", "union_member"];
+
+const employees = new Map(); // phone -> профиль
+
+function loadEmployees() {
+  const file = path.resolve(EMPLOYEES_FILE);
+  if (!fs.existsSync(file)) return;
+  try {
+    const list = JSON.parse(fs.readFileSync(file, "utf8"));
+    employees.clear();
+    for (const emp of list) employees.set(emp.phone, emp);
+    console.log("Employees loaded:", employees.size);
+  } catch (err) {
+    console.error("loadEmployees error:", err.message);
+  }
+}
+
+function saveEmployees() {
+  const file = path.resolve(EMPLOYEES_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // пишем во временный файл и переименовываем, чтобы не оставить битый JSON
+  fs.writeFileSync(file + ".tmp", JSON.stringify([...employees.values()], null, 2));
+  fs.renameSync(file + ".tmp", file);
+}
+
+// приводим поля профиля к нужным типам; неизвестные поля отбрасываем
+function normalizeEmployeeFields(raw) {
+  const out = {};
+  for (const key of EMPLOYEE_FIELDS) {
+    if (!(key in raw)) continue;
+    let v = raw[key];
+    if (v === "" || v === undefined) v = null;
+
+    if (v !== null) {
+      if (key === "pay_group") {
+        v = parseInt(v, 10);
+        if (!(v >= 1 && v <= 10)) throw new Error("pay_group must be 1–10");
+      } else if (key === "contract_hours") {
+        v = parseFloat(String(v).replace(",", "."));
+        if (!(v > 0 && v <= 60)) throw new Error("contract_hours must be 0–60");
+      } else if (key === "employment_start") {
+        v = isIsoDate(v) ? v : fiDateToIso(v);
+        if (!v) throw new Error("employment_start must be YYYY-MM-DD or D.M.YYYY");
+      } else if (key === "language") {
+        v = String(v).trim().toLowerCase();
+        if (!LANG_NAMES[v]) throw new Error("language must be one of " + Object.keys(LANG_NAMES).join(", "));
+      } else if (key === "union_member") {
+        v = v === true || ["1", "true", "yes", "kyllä", "да"].includes(String(v).trim().toLowerCase());
+      } else if (key === "supervisor_phone") {
+        v = normalizePhone(v);
+      } else {
+        v = String(v).trim();
+      }
+    }
+    out[key] = v;
+  }
+  return out;
+}
+
+function getEmployee(phone) {
+  return employees.get(normalizePhone(phone)) || null;
+}
+
+function upsertEmployee(phone, fields) {
+  const key = normalizePhone(phone);
+  if (!key) throw new Error("phone is required");
+
+  const emp = {
+    ...(employees.get(key) || { phone: key }),
+    ...normalizeEmployeeFields(fields),
+    updatedAt: new Date().toISOString(),
+  };
+  employees.set(key, emp);
+  saveEmployees();
+  return emp;
+}
+
+function importEmployeesCsv(text) {
+  let imported = 0;
+  const errors = [];
+
+  for (const [i, row] of parseCsvRows(text).entries()) {
+    try {
+      upsertEmployee(row.phone, row);
+      imported++;
+    } catch (err) {
+      errors.push({ line: i + 2, error: err.message });
+    }
+  }
+
+  console.log("Employees import:", imported, "errors:", errors.length);
+  return { imported, errors };
+}
+
+// Подставляем данные профиля в то, что маршрутизатор не нашёл в сообщении
+function applyProfileDefaults(route, emp) {
+  if (!emp) return route;
+
+  if (["salary_calc", "sick_pay"].includes(route.intent) && !route.hourly_rate && !route.pay_group) {
+    route.pay_group = emp.pay_group || null;
+  }
+  if (route.intent === "salary_calc" && !route.hours_per_week) {
+    route.hours_per_week = emp.contract_hours || null;
+  }
+  if (!route.employment_start_date) {
+    route.employment_start_date = emp.employment_start || null;
+  }
+  if (emp.union_member) route.union_member = true;
+  if (emp.employment_start && fullYearsBetween(emp.employment_start, todayIso()) >= 10) {
+    route.experience_over_10y = true;
+  }
+  return route;
+}
+
+// короткое описание сотрудника для промптов
+function profileContext(emp) {
+  if (!emp) return "";
+  const parts = [];
+  if (emp.employment_start) {
+    parts.push(`works at SOL since ${isoToFiDate(emp.employment_start)} (${fullYearsBetween(emp.employment_start, todayIso())} full years)`);
+  }
+  if (emp.pay_group) parts.push(`PAM pay group ${emp.pay_group}`);
+  if (emp.contract_hours) parts.push(`contract ${emp.contract_hours} h/week`);
+  if (emp.site) parts.push(`site: ${emp.site}`);
+  if (typeof emp.union_member === "boolean") parts.push(emp.union_member ? "PAM member" : "not a PAM member");
+  return parts.join("; ");
+}
+
+function formatProfile(emp) {
+  const v = x => (x === null || x === undefined || x === "" ? "—" : x);
+  return `
+Your profile:
+• Name: ${v(emp.name)}
+• Language: ${v(LANG_NAMES[emp.language])}
+• PAM pay group: ${v(emp.pay_group)}
+• Employment start: ${emp.employment_start ? isoToFiDate(emp.employment_start) : "—"}
+• Contract hours per week: ${v(emp.contract_hours)}
+• Site: ${v(emp.site)}
+• Supervisor: ${v(emp.supervisor)}
+• PAM member: ${emp.union_member === true ? "yes" : emp.union_member === false ? "no" : "—"}
+
+To correct something, write e.g. "my pay group is 4". Site and supervisor are updated by the office.
+`;
+}
+
+loadEmployees();
+
+// ===== НАПОМИНАНИЯ О СМЕНАХ =====
+// Бот сам пишет сотруднику перед сменой и при изменении смены.
+// Настройки в userState: reminderLeadMinutes, remindersOff, user_language, lastInboundAt.
+// Уже отправленные напоминания — там же (st.sentReminders, "id@start"), чтобы не повторять после перезапуска.
+const WHATSAPP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// язык шаблона WhatsApp
+const TEMPLATE_LANG_CODES = { ru: "ru", fi: "fi", en: "en", ne: "ne", bn: "bn" };
+
+function minutesBetweenLocal(fromLocal, toLocal) {
+  return (Date.parse(toLocal + ":00Z") - Date.parse(fromLocal + ":00Z")) / 60000;
+}
+
+// Проактивное сообщение: внутри 24-часового окна — обычный текст,
+// вне окна — шаблон (текст уходит в переменную {{1}}). true — WhatsApp принял сообщение.
+async function sendProactive(phone, baseText, templateName) {
+  const st = userState.get(phone) || {};
+  const lang = getEmployee(phone)?.language || st.user_language || "en";
+  const text = lang === "en" ? baseText : await translateWithOpenAI(baseText, lang);
+
+  if (st.lastInboundAt && Date.now() - st.lastInboundAt < WHATSAPP_WINDOW_MS) {
+    const messageIds = await sendText(phone, text);
+    return messageIds.every(Boolean);
+  }
+  return Boolean(await sendTemplate(phone, templateName, TEMPLATE_LANG_CODES[lang] || "en", [text]));
+}
+
+async function checkShiftReminders() {
+  const shifts = await getScheduleShifts();
+  const now = nowHelsinkiLocal();
+
+  for (const shift of shifts) {
+    const key = `${shift.id}@${shift.start}`;
+
+    const minutesLeft = minutesBetweenLocal(now, shift.start);
+    if (minutesLeft <= 0) continue;
+
+    const st = userState.get(shift.phone) || {};
+    if (st.remindersOff) continue;
+    if (st.sentReminders?.includes(key)) continue;
+
+    const lead = st.reminderLeadMinutes || REMINDER_DEFAULT_LEAD_MINUTES;
+    if (minutesLeft > lead) continue;
+
+    // старые ключи больше не нужны
+    st.sentReminders = (st.sentReminders || []).filter(k => k.split("@").pop() >= now.slice(0, 10));
+    st.sentReminders.push(key);
+    userState.set(shift.phone, st);
+
+    await sendProactive(shift.phone, `⏰ Reminder: your shift ${formatShift(shift)}`, WA_TEMPLATE_SHIFT_REMINDER);
+  }
+}
+
+async function notifyShiftChanges(changes) {
+  for (const { before, after } of changes) {
+    // смену передвинули — напомним заново (об изменении сообщаем и тем, кто отключил напоминания)
+    const st = userState.get(before.phone);
+    if (st?.sentReminders) {
+      st.sentReminders = st.sentReminders.filter(k => k !== `${before.id}@${before.start}`);
+      userState.set(before.phone, st);
+    }
+
+    await sendProactive(
+      after.phone,
+      `📅 Your shift has changed.\nBefore: ${formatShift(before)}\nNow: ${formatShift(after)}`,
+      WA_TEMPLATE_SHIFT_CHANGED
+    );
+  }
+}
+
+function startReminderScheduler() {
+  let running = false;
+  setInterval(async () => {
+    if (running) return; // предыдущий проход ещё идёт
+    running = true;
+    try {
+      await checkShiftReminders();
+    } catch (err) {
+      console.error("checkShiftReminders error:", err);
+    } finally {
+      running = false;
+    }
+  }, REMINDER_TICK_MS);
+}
+
+// ===== ХИМИЯ: каталог средств из KB =====
+// kb/chemicals.md: "# 1) KASPERI", "**pH: ~1**", "**Разведение: 1–4 мл/л**",
+// подразделы "Для чего" / "Нельзя / осторожно" и "Краткая логика выбора средства".
+// kb/chemicals-simple.md — запасной источник дозировок.
+
+const CHEM_PROBLEM_HEADINGS = [
+  { problem: "limescale", re: /КАМЕНЬ|ИЗВЕСТ/i },
+  { problem: "grease", re: /ЖИР/i },
+  { problem: "toilet", re: /ТУАЛЕТ/i },
+  { problem: "glass", re: /ОКН/i },
+  { problem: "dishes", re: /ПОСУД/i },
+];
+
+const CHEM_SEVERITY_WORDS = {
+  light: /лёгк|легк|небольш|ежеднев/i,
+  heavy: /сильн|средн|тяж|камень/i,
+  kitchen: /кухн|масл/i,
+};
+
+// стандартные объёмы, если пользователь не назвал литры
+const CHEM_DEFAULT_VOLUME = { bucket: 10, spray: 0.5 };
+
+// "SOL TEHOPUHDISTAJA" -> "Tehopuhdistaja", "SARTEK 2" -> "Sartek 2"
+function chemicalDisplayName(raw) {
+  const name = raw.replace(/^SOL\s+/i, "").trim();
+  return name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+}
+
+// "1–4 мл/л" -> { min: 1, max: 4 }, "~0.8 мл/л" -> { min: 0.8, max: 0.8 }
+function parseDosage(text) {
+  const m = /(\d+(?:[.,]\d+)?)\s*(?:[–-]\s*(\d+(?:[.,]\d+)?))?\s*мл\/л/.exec(text || "");
+  if (!m) return null;
+  const min = parseFloat(m[1].replace(",", "."));
+  const max = m[2] ? parseFloat(m[2].replace(",", ".")) : min;
+  return { min, max };
+}
+
+function chemicalType(ph) {
+  if (ph === null) return "unknown";
+  if (ph < 6) return "acid";
+  if (ph >= 8.5) return "alkaline";
+  return "neutral";
+}
+
+function parseChemicalCatalog(files) {
+  const full = files.find(f => f.name === "chemicals.md")?.content || "";
+  const simple = files.find(f => f.name === "chemicals-simple.md")?.content || "";
+
+  const products = [];
+  const selection = [];
+  let product = null;
+  let subsection = null;
+  let problem = null;
+
+  for (const rawLine of full.split("\n")) {
+    const line = rawLine.trim();
+
+    const prod = /^#\s+\d+\)\s+(.+)$/.exec(line);
+    if (prod) {
+      product = {
+        name: chemicalDisplayName(prod[1]),
+        description: "",
+        ph: null,
+        type: "unknown",
+        dosage: null,
+        uses: [],
+        cautions: [],
+      };
+      products.push(product);
+      subsection = null;
+      problem = null;
+      continue;
+    }
+
+    // любой другой H1 закрывает карточку средства
+    if (/^#\s/.test(line)) {
+      product = null;
+      problem = null;
+      continue;
+    }
+
+    const sub = /^##\s+(.+)$/.exec(line);
+    if (sub) {
+      subsection = sub[1];
+      problem = product ? null : CHEM_PROBLEM_HEADINGS.find(h => h.re.test(sub[1]))?.problem || null;
+      continue;
+    }
+
+    // "Краткая логика выбора средства": "- Лёгкий → **Sanitop**"
+    if (problem) {
+      const opt = /^-\s*(.*?)\s*→\s*(.+)$/.exec(line);
+      const single = /^-\s*\*\*(.+?)\*\*\s*$/.exec(line);
+      if (opt || single) {
+        const level = opt ? opt[1] : "";
+        const names = (opt ? opt[2] : single[1]).match(/\*\*(.+?)\*\*/g) || [`**${single[1]}**`];
+        selection.push({
+          problem,
+          level,
+          products: names.map(n => chemicalDisplayName(n.replace(/\*\*/g, ""))),
+        });
+      }
+      continue;
+    }
+
+    if (!product) continue;
+
+    const ph = /^\*\*pH:\s*~?\s*(\d+(?:[.,]\d+)?)/.exec(line);
+    if (ph) {
+      product.ph = parseFloat(ph[1].replace(",", "."));
+      product.type = chemicalType(product.ph);
+      continue;
+    }
+    if (/^\*\*Разведение:/.test(line)) {
+      product.dosage = parseDosage(line);
+      continue;
+    }
+    if (!product.description && /^\*\*.+\*\*$/.test(line)) {
+      product.description = line.replace(/\*\*/g, "");
+      continue;
+    }
+
+    const bullet = /^-\s+(.+)$/.exec(line);
+    if (bullet && subsection) {
+      const text = bullet[1].replace(/\*\*/g, "").trim();
+      if (/^Для чего/i.test(subsection)) product.uses.push(text);
+      if (/^Нельзя/i.test(subsection)) product.cautions.push(text.replace(/^❌\s*/, ""));
+    }
+  }
+
+  // дозировки из шпаргалки, если в полном файле их нет
+  for (const line of simple.split("\n")) {
+    const m = /^-\s*([^:]+):\s*(.+)$/.exec(line.trim());
+    if (!m) continue;
+    const p = findChemicalProduct(m[1], products);
+    if (p && !p.dosage) p.dosage = parseDosage(m[2]);
+  }
+
+  return { products, selection };
+}
+
+function findChemicalProduct(name, products = KB_CACHE.chemicals.products) {
+  const n = (name || "").toLowerCase().replace(/^sol\s+/, "").trim();
+  if (!n) return null;
+  return (
+    products.find(p => p.name.toLowerCase() === n) ||
+    products.find(p => n.includes(p.name.toLowerCase()) || p.name.toLowerCase().includes(n)) ||
+    null
+  );
+}
+
+// Средство по типу проблемы и её силе ("Краткая логика выбора средства")
+function chooseChemicalProduct(problem, severity) {
+  const options = KB_CACHE.chemicals.selection.filter(o => o.problem === problem);
+  if (!options.length) return null;
+
+  const match = severity && options.find(o => CHEM_SEVERITY_WORDS[severity]?.test(o.level));
+  return findChemicalProduct((match || options[0]).products[0]);
+}
+
+// Смешивание: любые два средства — нельзя; кислота + щёлочь / хлор — опасно
+function checkChemicalMix(productNames, mentionsChlorine) {
+  const products = productNames.map(n => findChemicalProduct(n) || { name: n, type: "unknown" });
+  if (products.length + (mentionsChlorine ? 1 : 0) < 2) return null;
+
+  const hasAcid = products.some(p => p.type === "acid");
+  const hasAlkaline = products.some(p => p.type === "alkaline");
+  return {
+    products,
+    dangerous: (hasAcid && hasAlkaline) || mentionsChlorine,
+  };
+}
+
+function formatChemicalMixWarning(mix, withChlorine) {
+  const names = mix.products.map(p => `${p.name}${p.type !== "unknown" ? ` (${p.type})` : ""}`);
+  if (withChlorine) names.push("chlorine");
+  return `
+⛔ Do NOT mix ${names.join(" + ")}.
+${mix.dangerous ? "Acid with alkaline or chlorine products reacts dangerously (toxic gas, heat, splashes).\n" : ""}Use one product at a time and rinse the surface with water before using the next one.
+Always wear gloves and eye protection.
+
+Source: SOL chemicals — general safety.
+`;
+}
+
+function formatChemicalAdvice(product, { container, volumeLiters }) {
+  const liters = volumeLiters || (container ? CHEM_DEFAULT_VOLUME[container] : null);
+  let amount = "";
+  if (product.dosage && liters) {
+    const min = round2(product.dosage.min * liters);
+    const max = round2(product.dosage.max * liters);
+    const where = container === "spray" ? "spray bottle" : container === "bucket" ? "bucket" : "water";
+    amount = `\nAmount for ${fmtHours(liters)} L ${where}: ${min === max ? fmtHours(min) : `${fmtHours(min)}–${fmtHours(max)}`} ml`;
+    if (!volumeLiters) amount += ` (assuming a ${fmtHours(liters)} L ${where})`;
+  }
+
+  const dosage = product.dosage
+    ? product.dosage.min === product.dosage.max
+      ? `~${fmtHours(product.dosage.min)} ml/L`
+      : `${fmtHours(product.dosage.min)}–${fmtHours(product.dosage.max)} ml/L`
+    : "see the label";
+
+  return `
+🧴 ${product.name}${product.description ? ` — ${product.description}` : ""}
+pH: ${product.ph ?? "—"} (${product.type})
+For: ${product.uses.join(", ") || "—"}
+Dosage: ${dosage}${amount}
+${product.cautions.length ? `\n⚠️ Careful:\n${product.cautions.map(c => "• " + c).join("\n")}\n` : ""}
+🧤 Wear gloves and eye protection, read the label, never mix products.
+
+Source: SOL chemicals (${product.name}).
+`;
+}
+
+// ===== KB SOL (embeddings + поиск по md-файлам) =====
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Кэш embeddings, чтобы не пересчитывать при каждом запросе
+const KB_CACHE = {
+  files: [],
+  embeddings: [],
+  payTables: [], // таблицы ставок PAM, см. parsePamRateTables
+  paySupplements: {}, // надбавки PAM, см. parsePamSupplements
+  bm25: null,    // индекс для поиска по словам, см. buildBm25Index
+  chemicals: { products: [], selection: [] }, // каталог химии, см. parseChemicalCatalog
+  loaded: false,
+};
+const KB_CHUNK_SIZE = 1500;       // максимум символов в куске (таблицы и списки не режем)
+const KB_FOLLOWUP_WINDOW_MS = 2 * 60 * 60 * 1000; // старее — уже другой разговор
+const KB_FOLLOWUP_HISTORY = 6;                    // сколько последних сообщений смотрим
+
+// Помощник для формирования запроса в KB с учётом контекста.
+// Просто приклеивать прошлый вопрос нельзя — путаются темы. Поэтому ИИ смотрит
+// на недавнюю переписку, решает, продолжает ли сообщение прошлую тему,
+// и если да — переписывает его в самостоятельный поисковый запрос.
+async function buildKbQuery(message, history = [], st = {}) {
+  const m = (message || "").trim();
+
+  const recent = history.filter(h => Date.now() - h.at < KB_FOLLOWUP_WINDOW_MS);
+  if (!m || !recent.length) return m;
+
+  const sys = `
+Ты помогаешь искать по базе знаний SOL (PAM TES, больничные, отпуск, химия и т.п.).
+Тебе дают недавнюю переписку и НОВОЕ сообщение пользователя.
+
+1) Реши, продолжает ли новое сообщение тему предыдущих
+   (короткие уточнения вида "а после 2 лет?", "а в воскресенье?", "and for Kasperi?").
+2) Если продолжает — напиши самостоятельный поисковый запрос,
+   понятный БЕЗ переписки (подставь тему из контекста).
+3) Если это новая тема — запрос = новое сообщение без изменений.
+
+Запрос пиши на языке нового сообщения.
+Верни ТОЛЬКО JSON: {"follow_up": true/false, "query": "..."}
+`;
+
+  try {
+    const resp = await openai.chat.completions.create({
+      model: OPENAI_MODEL,
+      temperature: 0,
+      messages: [
+        { role: "system", content: sys },
+        {
+          role: "user",
+          content: JSON.stringify({
+            history: recent.map(h => ({ role: h.role, text: h.text.slice(0, 500) })),
+            previous_kb_question: st.lastKbQuery || null,
+            new_message: m,
+          }),
+        },
+      ],
+    });
+
+    let raw = resp.choices[0]?.message?.content?.trim() || "";
+    raw = raw.replace(/```json/gi, "").replace(/```/g, "").trim();
+    const parsed = JSON.parse(raw);
+    const query = parsed.follow_up && typeof parsed.query === "string" && parsed.query.trim()
+      ? parsed.query.trim()
+      : m;
+
+    console.log("KB query rewrite:", { message: m, follow_up: !!parsed.follow_up, query });
+    return query;
+  } catch (err) {
+    console.error("buildKbQuery error:", err.message);
+    return m;
+  }
+}
+
+
+// Читаем все md-файлы из папки kb
+function loadKbFiles() {
+  const kbDir = path.resolve(KB_FILES);
+  const files = fs.readdirSync(kbDir).filter(f => f.endsWith(".md"));
+
+  KB_CACHE.files = files.map(f => {
+    const content = fs.readFileSync(path.join(kbDir, f), "utf8");
+    return { name: f, content };
+  });
+
+  KB_CACHE.payTables = KB_CACHE.files.flatMap(f => parsePamRateTables(f.content));
+  console.log(
+    "KB pay tables:",
+    KB_CACHE.payTables.map(t => t.validFrom)
+  );
+
+  KB_CACHE.paySupplements = Object.assign({}, ...KB_CACHE.files.map(f => parsePamSupplements(f.content)));
+  console.log("KB pay supplements:", KB_CACHE.paySupplements);
+
+  KB_CACHE.chemicals = parseChemicalCatalog(KB_CACHE.files);
+  console.log(
+    "KB chemicals:",
+    KB_CACHE.chemicals.products.map(p => `${p.name} (${p.type})`)
+  );
+}
+
+// Заголовок документа (не раздел): первый H1 файла и его повторы
+// (pam.md — это два склеенных документа с одинаковым названием)
+function isKbDocTitle(text, firstTitle) {
+  if (!firstTitle) return true;
+  return text.split(/\s+/)[0] === firstTitle.split(/\s+/)[0];
+}
+
+function cleanHeading(text) {
+  return text.replace(/\*\*/g, "").replace(/\s+/g, " ").trim();
+}
+
+// Режем markdown по заголовкам: раздел = заголовок + текст до следующего заголовка.
+// Блоки (абзацы, таблицы, списки) не разрываем; большой раздел делим по блокам.
+// Каждый кусок знает свой путь: "pam.md › 16. Болезнь и несчастный случай".
+function chunkMarkdown(fileName, markdown) {
+  const sections = [];
+  const stack = []; // [{ level, text }]
+  let firstTitle = null;
+  let current = { path: [], lines: [] };
+
+  for (const line of (markdown || "").split("\n")) {
+    const h = /^(#{1,6})\s+(.+?)\s*$/.exec(line);
+    if (!h) {
+      if (line.trim() !== "---") current.lines.push(line);
+      continue;
+    }
+
+    sections.push(current);
+    const level = h[1].length;
+    const text = cleanHeading(h[2]);
+
+    if (level === 1 && isKbDocTitle(text, firstTitle)) {
+      firstTitle = firstTitle || text;
+      stack.length = 0;
+      current = { path: [], lines: [] };
+      continue;
+    }
+
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, text });
+    current = { path: stack.map(x => x.text), lines: [] };
+  }
+  sections.push(current);
+
+  const chunks = [];
+  for (const sec of sections) {
+    const section = [fileName, ...sec.path].join(" › ");
+    const blocks = sec.lines
+      .join("\n")
+      .split(/\n\s*\n/)
+      .map(b => b.trim())
+      .filter(Boolean);
+    if (!blocks.length) continue;
+
+    // склеиваем блоки, пока влезает; блок больше лимита остаётся целым
+    let buf = [];
+    const flush = () => {
+      if (!buf.length) return;
+      chunks.push({ section, content: `${section}\n\n${buf.join("\n\n")}` });
+      buf = [];
+    };
+    for (const block of blocks) {
+      const size = buf.reduce((n, b) => n + b.length + 2, 0) + block.length;
+      if (buf.length && size > KB_CHUNK_SIZE) flush();
+      buf.push(block);
+    }
+    flush();
+  }
+
+  return chunks;
+}
+
+// ===== Индекс embeddings на диске =====
+// KB_INDEX_FILE: { model, vectors: { sha256(текст куска): embedding } }.
+// При пересборке эмбеддим только новые/изменённые куски.
+const KB_EMBEDDING_MODEL = "text-embedding-3-small";
+const KB_EMBED_BATCH = 100; // кусков за один запрос
+
+function chunkHash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function loadKbIndex() {
+  const file = path.resolve(KB_INDEX_FILE);
+  if (!fs.existsSync(file)) return {};
+  try {
+    const index = JSON.parse(fs.readFileSync(file, "utf8"));
+    // другая модель — старые векторы несовместимы
+    return index.model === KB_EMBEDDING_MODEL ? index.vectors || {} : {};
+  } catch (err) {
+    console.error("KB index is broken, rebuilding:", err.message);
+    return {};
+  }
+}
+
+function saveKbIndex(vectors) {
+  const file = path.resolve(KB_INDEX_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file + ".tmp", JSON.stringify({ model: KB_EMBEDDING_MODEL, vectors }));
+  fs.renameSync(file + ".tmp", file);
+}
+
+// создаём embeddings для всех файлов
+async function buildKbEmbeddings() {
+  if (!KB_CACHE.files.length) loadKbFiles();
+
+  const cached = loadKbIndex();
+  const chunks = [];
+  for (const file of KB_CACHE.files) {
+    // режем файл по разделам markdown
+    for (const c of chunkMarkdown(file.name, file.content)) {
+      chunks.push({ ...c, name: file.name, hash: chunkHash(c.content) });
+    }
+  }
+
+  // эмбеддим только то, чего ещё нет в индексе
+  const missing = [...new Map(chunks.filter(c => !cached[c.hash]).map(c => [c.hash, c])).values()];
+  for (let i = 0; i < missing.length; i += KB_EMBED_BATCH) {
+    const batch = missing.slice(i, i + KB_EMBED_BATCH);
+    const resp = await openai.embeddings.create({
+      model: KB_EMBEDDING_MODEL,
+      input: batch.map(c => c.content),
+    });
+    resp.data.forEach((item, idx) => {
+      cached[batch[idx].hash] = item.embedding;
+    });
+  }
+
+  // в индексе оставляем только актуальные куски (удалённые/старые версии выкидываем)
+  const vectors = Object.fromEntries(chunks.map(c => [c.hash, cached[c.hash]]));
+  saveKbIndex(vectors);
+
+  KB_CACHE.embeddings = chunks.map(c => ({
+    name: c.name,
+    section: c.section,
+    embedding: vectors[c.hash],
+    content: c.content,
+  }));
+  KB_CACHE.bm25 = buildBm25Index(chunks.map(c => c.content));
+
+  KB_CACHE.loaded = true;
+  console.log(
+    "KB loaded chunks:",
+    KB_CACHE.embeddings.length,
+    "from files:",
+    KB_CACHE.files.length,
+    "newly embedded:",
+    missing.length
+  );
+}
+
+// Полная перезагрузка KB: файлы, таблицы ставок, embeddings.
+// Параллельные вызовы выстраиваем в очередь, чтобы не эмбеддить дважды.
+let kbReindexChain = Promise.resolve();
+function reindexKb() {
+  kbReindexChain = kbReindexChain
+    .then(async () => {
+      loadKbFiles();
+      await buildKbEmbeddings();
+    })
+    .catch(err => console.error("reindexKb error:", err));
+  return kbReindexChain;
+}
+
+// Следим за папкой kb: добавили / изменили / удалили .md — переиндексируем
+function watchKb() {
+  let timer = null;
+  try {
+    fs.watch(path.resolve(KB_FILES), (event, fileName) => {
+      if (fileName && !fileName.endsWith(".md")) return;
+      // редакторы пишут файл в несколько приёмов — ждём, пока утихнет
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        console.log("KB changed:", fileName || "(unknown)", "— reindexing");
+        reindexKb();
+      }, 1000);
+    });
+  } catch (err) {
+    console.error("watchKb error:", err.message);
+  }
+}
+
+// ===== BM25: поиск по точным словам =====
+const KB_TOP_K = 3;
+const KB_RRF_K = 60;     // сглаживание в Reciprocal Rank Fusion
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const KB_STEM_LENGTH = 6; // грубый "стемминг": обрезаем длинные слова (падежи в ru/fi)
+
+function tokenizeKb(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/ё/g, "е")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length > 1)
+    .map(t => (t.length > KB_STEM_LENGTH ? t.slice(0, KB_STEM_LENGTH) : t));
+}
+
+function buildBm25Index(contents) {
+  const docs = contents.map(text => {
+    const tf = new Map();
+    const tokens = tokenizeKb(text);
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { tf, len: tokens.length };
+  });
+
+  const df = new Map();
+  for (const d of docs) {
+    for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
   }
 
-  KB_CACHE.loaded = true;
-  console.log(
-    "KB loaded chunks:",
-    KB_CACHE.embeddings.length,
-    "from files:",
-    KB_CACHE.files.length
-  );
+  const avgLen = docs.reduce((n, d) => n + d.len, 0) / (docs.length || 1);
+  return { docs, df, avgLen, n: docs.length };
+}
+
+function bm25Scores(queryTokens) {
+  const { docs, df, avgLen, n } = KB_CACHE.bm25;
+  const terms = [...new Set(queryTokens)];
+
+  return docs.map(d => {
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const idf = Math.log(1 + (n - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      score += (idf * f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + (BM25_B * d.len) / avgLen));
+    }
+    return score;
+  });
 }
 
 // косинусное расстояние
@@ -414,40 +3407,78 @@ function similarity(a, b) {
 }
 
 // ищем самые релевантные документы
-async function searchKb(query) {
+async function searchKb(query, userLang = "ru") {
+  // если KB сейчас переиндексируется — дождёмся
+  await kbReindexChain;
+  if (!KB_CACHE.loaded) {
+    await reindexKb();
+  }
   if (!KB_CACHE.loaded) {
-    await buildKbEmbeddings();
+    // пусть handleIncoming сделает fallback на обычного ассистента
+    throw new Error("KB index is not available");
+  }
+
+  // KB написана по-русски: для других языков ищем ещё и по русскому переводу.
+  // Оригинал тоже оставляем — в нём точные термины (Kasperi, oma-ilmoitus...).
+  const queries = [query];
+  if (userLang !== "ru") {
+    try {
+      const ru = await translateWithOpenAI(query, "ru");
+      if (ru && ru !== query) queries.push(ru);
+    } catch (err) {
+      console.error("KB query translation error:", err.message);
+    }
   }
+  console.log("KB search queries:", queries);
 
-  // embedding запроса
+  // embeddings запросов (одним вызовом)
   const embQ = await openai.embeddings.create({
-    model: "text-embedding-3-small",
-    input: query,
+    model: KB_EMBEDDING_MODEL,
+    input: queries,
   });
+  const qs = embQ.data.map(d => d.embedding);
+
+  // 1) векторный поиск: лучшая близость по любому из запросов
+  const docs = KB_CACHE.embeddings.map((doc, i) => ({
+    name: doc.name,
+    section: doc.section,
+    score: Math.max(...qs.map(q => similarity(q, doc.embedding))),
+    bm25: 0,
+    content: doc.content,
+    idx: i,
+  }));
 
-  const q = embQ.data[0].embedding;
+  // 2) BM25 по словам из всех запросов
+  const bm25 = bm25Scores(queries.flatMap(tokenizeKb));
+  docs.forEach(d => (d.bm25 = bm25[d.idx]));
+
+  // 3) объединяем два рейтинга (Reciprocal Rank Fusion)
+  const rrf = new Map(docs.map(d => [d.idx, 0]));
+  for (const key of ["score", "bm25"]) {
+    [...docs]
+      .filter(d => d[key] > 0)
+      .sort((a, b) => b[key] - a[key])
+      .forEach((d, rank) => rrf.set(d.idx, rrf.get(d.idx) + 1 / (KB_RRF_K + rank + 1)));
+  }
 
-  // сортируем файлы по успешности
-  const ranked = KB_CACHE.embeddings
-    .map(doc => ({
-      name: doc.name,
-      score: similarity(q, doc.embedding),
-      content: doc.content,
-    }))
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 3);
+  // куски ниже порога релевантности не отдаём вовсе
+  const ranked = docs
+    .filter(d => d.score >= KB_MIN_SIMILARITY || d.bm25 >= KB_MIN_BM25)
+    .map(d => ({ ...d, rrf: rrf.get(d.idx) }))
+    .sort((a, b) => b.rrf - a.rrf)
+    .slice(0, KB_TOP_K);
 
   return ranked;
 }
 
 // финальное сообщение на основе KB + модели
-async function answerFromKb(query, userLang = "fi") {
+async function answerFromKb(query, userLang = "fi", profileInfo = "") {
   console.log("KB query:", query, "lang:", userLang);
 
   // 1) Попробуем загрузить и найти документы
   let top;
   try {
-    top = await searchKb(query);
+    top = await searchKb(query, userLang);
   } catch (e) {
     console.error("searchKb error:", e);
     // если совсем всё плохо с KB — пусть наверх уйдёт ошибка,
@@ -458,23 +3489,17 @@ async function answerFromKb(query, userLang = "fi") {
   if (!top || top.length === 0) {
     console.warn("KB: no documents found for query");
     // Честно скажем пользователю, что в KB ничего не нашли
-    if (userLang === "ru") {
-      return "Я посмотрел внутренние документы SOL, но не нашёл точной информации по этому вопросу. Попробуй переформулировать или спросить руководителя / HR.";
-    }
-    if (userLang === "fi") {
-      return "Katsoin SOL:n sisäiset ohjeet, mutta en löytänyt tarkkaa vastausta. Voit kysyä esihenkilöltä tai HR:ltä.";
-    }
-    return "I checked the internal SOL documents but couldn’t find an exact answer. Please consider asking your supervisor or HR.";
+    return { text: kbNoAnswerText(userLang), answered: false };
   }
 
-  // 2) Собираем контекст
+  // 2) Собираем контекст (номера — чтобы модель сказала, что использовала)
   const context = top
-    .map(doc => `# File: ${doc.name}\n${doc.content}`)
+    .map((doc, i) => `# [${i + 1}] Source: ${doc.section}\n${doc.content}`)
     .join("\n\n");
 
   console.log(
     "KB top docs:",
-    top.map(d => ({ name: d.name, score: d.score }))
+    top.map(d => ({ section: d.section, score: d.score, bm25: d.bm25 }))
   );
 
   const prompt = `
@@ -494,7 +3519,10 @@ async function answerFromKb(query, userLang = "fi") {
    - обязательно напоминай про использование СИЗ и чтение
      инструкции на упаковке.
 Ответ должен быть на языке пользователя (${userLang}).
-
+${profileInfo ? `
+Данные сотрудника (учитывай их, если правило зависит от стажа, группы, часов и т.п.):
+${profileInfo}
+` : ""}
 === DOCUMENTS ===
 ${context}
 
@@ -502,17 +3530,322 @@ ${context}
 ${query}
 
 Ответь ясно, коротко и по делу, ссылаясь только на то, что есть в документах.
+Не пиши источники в тексте ответа — перечисли номера документов, которые
+РЕАЛЬНО использовал, в поле "sources" (пустой массив, если не использовал ни один).
+"answerable": false — если документы НЕ отвечают на вопрос про зарплату,
+больничный, отпуск, договор и т.п. (пункт 2). Для общего совета по уборке
+(пункт 3) — true.
+Верни ТОЛЬКО JSON: {"answerable": true, "answer": "...", "sources": [1, 2]}
 `;
 
   const resp = await openai.chat.completions.create({
     model: OPENAI_MODEL,
     temperature: 0.2,
+    response_format: { type: "json_object" },
     messages: [
       { role: "system", content: prompt },
     ],
   });
 
-  return resp.choices[0]?.message?.content?.trim() || "";
+  const raw = resp.choices[0]?.message?.content?.trim() || "";
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    // модель не вернула JSON — отдаём текст как есть, без источников
+    if (!raw) return { text: kbNoAnswerText(userLang), answered: false };
+    return { text: raw, answered: true };
+  }
+
+  const answer = typeof parsed.answer === "string" ? parsed.answer.trim() : "";
+  // пустой ответ — то же самое, что answerable: false
+  if (parsed.answerable === false || !answer) {
+    console.warn("KB: documents do not answer the question");
+    return { text: kbNoAnswerText(userLang), answered: false };
+  }
+
+  const used = (Array.isArray(parsed.sources) ? parsed.sources : [])
+    .map(n => top[Number(n) - 1])
+    .filter(Boolean);
+
+  console.log("KB used sources:", used.map(d => d.section));
+  const sourceLine = formatKbSourceLine(used, userLang);
+  return { text: sourceLine ? `${answer}\n\n${sourceLine}` : answer, answered: true };
+}
+
+// "Не нашёл" + предложение передать вопрос в HR / руководителю
+function kbNoAnswerText(userLang) {
+  if (userLang === "ru") {
+    return "Я посмотрел внутренние документы SOL, но не нашёл точной информации по этому вопросу.\nПередать вопрос руководителю / HR? Ответь «да» или «нет».";
+  }
+  if (userLang === "fi") {
+    return "Katsoin SOL:n sisäiset ohjeet, mutta en löytänyt tarkkaa vastausta.\nVälitänkö kysymyksen esihenkilölle / HR:lle? Vastaa \"kyllä\" tai \"ei\".";
+  }
+  return "I checked the internal SOL documents but couldn’t find an exact answer.\nShall I forward your question to your supervisor / HR? Reply \"yes\" or \"no\".";
+}
+
+// ===== Неотвеченные вопросы (очередь для HR / руководителя) =====
+const unansweredQueue = [];
+
+function loadUnanswered() {
+  const file = path.resolve(UNANSWERED_FILE);
+  if (!fs.existsSync(file)) return;
+  try {
+    unansweredQueue.push(...JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (err) {
+    console.error("loadUnanswered error:", err.message);
+  }
+}
+
+function saveUnanswered() {
+  const file = path.resolve(UNANSWERED_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file + ".tmp", JSON.stringify(unansweredQueue, null, 2));
+  fs.renameSync(file + ".tmp", file);
+}
+
+async function forwardUnansweredQuestion(phone, question, lang) {
+  const emp = getEmployee(phone);
+  const item = {
+    id: crypto.randomUUID(),
+    phone: normalizePhone(phone),
+    name: emp?.name || null,
+    question,
+    lang,
+    supervisor: emp?.supervisor || null,
+    status: "open",
+    createdAt: new Date().toISOString(),
+  };
+  unansweredQueue.push(item);
+  saveUnanswered();
+  console.log("Question forwarded:", item.id, item.phone);
+
+  // руководителю из профиля — сразу сообщение
+  if (emp?.supervisor_phone) {
+    await sendProactive(
+      emp.supervisor_phone,
+      `❓ Question from ${emp.name || "+" + item.phone} that the SOL assistant couldn't answer:\n"${question}"`,
+      WA_TEMPLATE_QUESTION_FORWARDED
+    );
+  }
+  return item;
+}
+
+// "да" / "yes" / "kyllä" ... — для подтверждений в диалоге
+const YES_WORDS = ["да", "ага", "конечно", "yes", "y", "yeah", "ok", "okay", "kyllä", "joo", "juu", "हो", "हजुर", "হ্যাঁ", "হা"];
+// без "не" / "en": с них часто начинается обычный новый вопрос
+const NO_WORDS = ["нет", "no", "n", "nope", "ei", "होइन", "না"];
+
+function firstWord(text) {
+  return (text || "").trim().toLowerCase().split(/[\s.,!?]+/u)[0] || "";
+}
+
+function isYes(text) {
+  return YES_WORDS.includes(firstWord(text));
+}
+
+function isNo(text) {
+  return NO_WORDS.includes(firstWord(text));
+}
+
+// "передать вопрос в HR?" ждёт ответа недолго: "да" через день — уже про другое
+const ESCALATION_CONFIRM_TTL_MS = 30 * 60 * 1000;
+
+function activePendingEscalation(st) {
+  const pending = st.pendingEscalation;
+  if (pending && Date.now() - pending.at < ESCALATION_CONFIRM_TTL_MS) return pending;
+  return null;
+}
+
+loadUnanswered();
+
+// ===== Источники в ответах KB =====
+// Короткие названия документов для строки "Источник: ..."
+const KB_SOURCE_TITLES = {
+  "pam.md": "PAM TES",
+  "sol_guide.md": "SOL guide",
+  "health-insurance.md": "SOL / Terveystalo",
+  "chemicals.md": "SOL chemicals",
+  "chemicals-simple.md": "SOL chemicals",
+};
+
+const KB_SOURCE_LABELS = {
+  ru: "Источник",
+  fi: "Lähde",
+  en: "Source",
+  ne: "स्रोत",
+  bn: "সূত্র",
+};
+
+// "pam.md › 15. Ежегодный оплачиваемый отпуск"         -> "PAM TES §15"
+// "chemicals.md › 1) KASPERI › Для чего"               -> "SOL chemicals: KASPERI"
+// "pam.md › 💰 PAM TES — часовые ставки (siivooja)"    -> "PAM TES: часовые ставки (siivooja)"
+function formatKbSource(doc) {
+  const title = KB_SOURCE_TITLES[doc.name] || doc.name.replace(/\.md$/, "");
+  const head = (doc.section || "").split(" › ")[1];
+  if (!head) return title;
+
+  const numbered = /^(\d+)\.\s/.exec(head);
+  if (numbered) return `${title} §${numbered[1]}`;
+
+  // без эмодзи в начале и без повтора названия документа
+  let name = head.replace(/^\d+\)\s*/, "").replace(/^[^\p{L}\p{N}]+/u, "");
+  if (name.toLowerCase().startsWith(title.toLowerCase())) {
+    name = name.slice(title.length).replace(/^\s*[—–:-]\s*/, "");
+  }
+  return name ? `${title}: ${name}` : title;
+}
+
+function formatKbSourceLine(docs, userLang) {
+  const labels = [...new Set(docs.map(formatKbSource))];
+  if (!labels.length) return "";
+  const label = KB_SOURCE_LABELS[userLang] || KB_SOURCE_LABELS.en;
+  return `📄 ${label}: ${labels.join(", ")}`;
+}
+
+// ===== КНОПКИ И МЕНЮ (interactive) =====
+// id кнопок: "действие:значение" — разбираем без ИИ, см. handleInteractiveReply
+
+// подписи кнопок: не длиннее 20 символов (строки списка — 24), поэтому свои, без перевода ИИ
+const UI_LABELS = {
+  menu: { en: "Menu", ru: "Меню", fi: "Valikko", ne: "मेनु", bn: "মেনু" },
+  menu_prompt: {
+    en: "What do you need? Tap a topic 👇",
+    ru: "Что нужно? Выберите тему 👇",
+    fi: "Mitä tarvitset? Valitse aihe 👇",
+    ne: "तपाईंलाई के चाहिन्छ? विषय छान्नुहोस् 👇",
+    bn: "আপনার কী দরকার? একটি বিষয় বেছে নিন 👇",
+  },
+  choose: { en: "Choose", ru: "Выбрать", fi: "Valitse", ne: "छान्नुहोस्", bn: "বেছে নিন" },
+  salary: { en: "Salary", ru: "Зарплата", fi: "Palkka", ne: "तलब", bn: "বেতন" },
+  sick: { en: "Sick leave", ru: "Больничный", fi: "Sairausloma", ne: "बिरामी बिदा", bn: "অসুস্থতার ছুটি" },
+  chemicals: { en: "Chemicals", ru: "Химия", fi: "Kemikaalit", ne: "रसायन", bn: "রাসায়নিক" },
+  shifts: { en: "My shifts", ru: "Мои смены", fi: "Omat vuorot", ne: "मेरो सिफ्ट", bn: "আমার শিফট" },
+  translate: { en: "Translate", ru: "Перевод", fi: "Käännä", ne: "अनुवाद", bn: "অনুবাদ" },
+  yes: { en: "Yes", ru: "Да", fi: "Kyllä", ne: "हो", bn: "হ্যাঁ" },
+  no: { en: "No", ru: "Нет", fi: "Ei", ne: "होइन", bn: "না" },
+  today: { en: "Today", ru: "Сегодня", fi: "Tänään", ne: "आज", bn: "আজ" },
+  tomorrow: { en: "Tomorrow", ru: "Завтра", fi: "Huomenna", ne: "भोलि", bn: "আগামীকাল" },
+  days: { en: "{n} day(s)", ru: "{n} дн.", fi: "{n} pv", ne: "{n} दिन", bn: "{n} দিন" },
+  "chem:limescale:light": { en: "Limescale — light", ru: "Известь — лёгкая", fi: "Kalkki — kevyt", ne: "चुना — हल्का", bn: "চুনের দাগ — হালকা" },
+  "chem:limescale:heavy": { en: "Limescale — heavy", ru: "Известь — сильная", fi: "Kalkki — vahva", ne: "चुना — धेरै", bn: "চুনের দাগ — বেশি" },
+  "chem:grease:light": { en: "Grease — light", ru: "Жир — лёгкий", fi: "Rasva — kevyt", ne: "चिल्लो — हल्का", bn: "চর্বি — হালকা" },
+  "chem:grease:heavy": { en: "Grease — heavy", ru: "Жир — сильный", fi: "Rasva — vahva", ne: "चिल्लो — धेरै", bn: "চর্বি — বেশি" },
+  "chem:grease:kitchen": { en: "Kitchen grease / oil", ru: "Кухонный жир / масло", fi: "Keittiön rasva / öljy", ne: "भान्साको चिल्लो / तेल", bn: "রান্নাঘরের তেল" },
+  "chem:toilet": { en: "Toilet", ru: "Туалет", fi: "WC", ne: "शौचालय", bn: "টয়লেট" },
+  "chem:glass": { en: "Windows / mirrors", ru: "Окна / зеркала", fi: "Ikkunat / peilit", ne: "झ्याल / ऐना", bn: "জানালা / আয়না" },
+  "chem:dishes": { en: "Dishes", ru: "Посуда", fi: "Astiat", ne: "भाँडा", bn: "থালাবাসন" },
+};
+
+function uiLabel(key, lang) {
+  return UI_LABELS[key]?.[lang] || UI_LABELS[key]?.en || key;
+}
+
+const MAIN_MENU_ITEMS = ["salary", "sick", "chemicals", "shifts", "translate"];
+const CHEMICAL_MENU_ITEMS = Object.keys(UI_LABELS).filter(key => key.startsWith("chem:"));
+const SICK_DAY_CHOICES = [1, 2, 3, 4, 5, 7, 10, 14];
+
+// "меню" / "menu" / "valikko" — показать главное меню
+const MENU_WORDS = ["menu", "меню", "valikko", "start", "/start", "मेनु", "মেনু"];
+
+function isMenuRequest(text) {
+  return MENU_WORDS.includes((text || "").trim().toLowerCase());
+}
+
+function yesNoButtons(lang) {
+  return [
+    { id: "confirm:yes", title: uiLabel("yes", lang) },
+    { id: "confirm:no", title: uiLabel("no", lang) },
+  ];
+}
+
+async function sendMainMenu(to, lang, text = uiLabel("menu_prompt", lang)) {
+  return sendList(
+    to,
+    text,
+    uiLabel("menu", lang),
+    MAIN_MENU_ITEMS.map(item => ({ id: `menu:${item}`, title: uiLabel(item, lang) }))
+  );
+}
+
+// Подсказки для пунктов меню, где дальше нужен свободный текст
+const MENU_PROMPTS = {
+  salary: {
+    intent: "salary_calc",
+    text: "Send your hours and your hourly rate or PAM pay group, for example: \"120 hours, group 3\" or \"25 h/week, 12,26 €/h\".",
+  },
+  translate: {
+    intent: "translation",
+    text: "Send the text to translate and the language, for example: \"->fi I am sick today\".",
+  },
+};
+
+// Нажатие кнопки или пункта списка: маршрут известен из id, ИИ-маршрутизатор не нужен
+async function handleInteractiveReply(from, reply) {
+  const st = userState.get(from) || {};
+  const emp = getEmployee(from);
+  const lang = st.user_language || emp?.language || "en";
+  const [action, value, extra] = reply.id.split(":");
+
+  // да / нет — как если бы пользователь написал это словами
+  if (action === "confirm") {
+    if (activePendingEscalation(st) || activeSickReport(st).step === "confirm") {
+      await handleIncoming(from, value === "yes" ? "yes" : "no");
+    } else {
+      await sendMainMenu(from, lang);
+    }
+    return;
+  }
+
+  st.lastUserText = reply.title || reply.id;
+  st.lastInboundAt = Date.now();
+  userState.appendHistory(from, "user", st.lastUserText);
+  userState.set(from, st);
+
+  const route = { ...emptyRoute(), user_language: lang };
+
+  if (action === "menu" && MENU_PROMPTS[value]) {
+    const prompt = MENU_PROMPTS[value];
+    st.lastIntent = prompt.intent; // следующему сообщению маршрутизатор увидит prev_intent
+    userState.set(from, st);
+    await sendText(from, lang === "en" ? prompt.text : await translateWithOpenAI(prompt.text, lang));
+    return;
+  }
+
+  if (action === "menu" && value === "chemicals") {
+    const question = "What do you need to clean?";
+    await sendList(
+      from,
+      lang === "en" ? question : await translateWithOpenAI(question, lang),
+      uiLabel("choose", lang),
+      CHEMICAL_MENU_ITEMS.map(id => ({ id, title: uiLabel(id, lang) }))
+    );
+    return;
+  }
+
+  if (action === "menu" && value === "sick") {
+    route.intent = "sick_report";
+  } else if (action === "menu" && value === "shifts") {
+    route.intent = "schedule";
+    route.schedule_question = "next_shift";
+  } else if (action === "chem") {
+    route.intent = "chemical";
+    route.chem_problem = value;
+    route.chem_severity = extra || null;
+  } else if (action === "sick_start") {
+    route.intent = "sick_report";
+    route.sick_start_date = value === "tomorrow" ? addDaysIso(todayIso(), 1) : todayIso();
+  } else if (action === "sick_days") {
+    route.intent = "sick_report";
+    route.sick_expected_days = Number(value) || null;
+  } else {
+    // старая или незнакомая кнопка
+    await sendMainMenu(from, lang);
+    return;
+  }
+
+  applyProfileDefaults(route, emp);
+  await handleRoute(from, st.lastUserText, st, emp, route);
 }
 
 // ===== Главный обработчик входящего текста =====
@@ -522,17 +3855,84 @@ async function handleIncoming(from, text) {
 
   const st = userState.get(from) || {};
   st.lastUserText = trimmed;
+  st.lastInboundAt = Date.now(); // для 24-часового окна WhatsApp
+  userState.appendHistory(from, "user", trimmed);
+
+  const emp = getEmployee(from);
+
+  // 0) Ждём ответа "передать вопрос в HR?" — да/нет решаем без ИИ
+  const pending = activePendingEscalation(st);
+  if (st.pendingEscalation) {
+    delete st.pendingEscalation;
+    userState.set(from, st);
+  }
+  if (pending) {
+    const lang = st.user_language || "en";
+
+    if (isYes(trimmed)) {
+      await forwardUnansweredQuestion(from, pending.question, lang);
+      const done = "✅ I have forwarded your question. Your supervisor / HR will get back to you.";
+      await sendText(from, lang === "en" ? done : await translateWithOpenAI(done, lang));
+      return;
+    }
+    if (isNo(trimmed)) {
+      const ok = "OK, I won't forward it.";
+      await sendText(from, lang === "en" ? ok : await translateWithOpenAI(ok, lang));
+      return;
+    }
+    // иначе это уже новый вопрос — обрабатываем как обычно
+  }
+
+  // 0б) Ждём подтверждения "отправить руководителю сообщение о болезни?"
+  const report = activeSickReport(st);
+  if (st.sickReport && report !== st.sickReport) {
+    delete st.sickReport; // недоделанное сообщение устарело
+    userState.set(from, st);
+  }
+  if (report.step === "confirm") {
+    const lang = st.user_language || "en";
+
+    if (isYes(trimmed)) {
+      const resp = await translateWithOpenAI(await submitSickReport(from, st, report), lang);
+      st.lastBotText = resp;
+      userState.set(from, st);
+      await sendText(from, resp);
+      return;
+    }
+    if (isNo(trimmed)) {
+      delete st.sickReport;
+      userState.set(from, st);
+      const ok = "OK, I won't send it. Remember to call your supervisor yourself.";
+      await sendText(from, lang === "en" ? ok : await translateWithOpenAI(ok, lang));
+      return;
+    }
+    // иначе пользователь, возможно, поправляет дату или длительность — решит маршрутизатор
+  }
+
+  // 0в) "меню" / "valikko" — показываем кнопки без ИИ
+  if (isMenuRequest(trimmed)) {
+    await sendMainMenu(from, st.user_language || emp?.language || "en");
+    return;
+  }
 
   // 1) Маршрутизатор просит ИИ решить, что делать
   let route;
   try {
-    route = await classifyMessageAI(trimmed, st);
+    route = await classifyMessageAI(trimmed, st, emp);
   } catch (err) {
     console.error("classifyMessageAI error:", err);
     route = { intent: "kb", user_language: "en" };
   }
+  applyProfileDefaults(route, emp);
+
+  await handleRoute(from, trimmed, st, emp, route);
+}
 
+// Ответ по intent — из маршрутизатора или из нажатой кнопки / пункта меню
+async function handleRoute(from, trimmed, st, emp, route) {
   st.lastIntent = route.intent;
+  st.user_language = route.user_language || st.user_language;
+  if (route.intent !== "sick_report") delete st.sickReport; // пользователь ушёл от темы
   userState.set(from, st);
 
     const userLang = route.user_language || "en";
@@ -582,7 +3982,7 @@ async function handleIncoming(from, text) {
     st.lastBotText = translated;
     userState.set(from, st);
 
-    await sendText(from, translated);
+    await sendText(from, translated, { format: false });
     return;
   }
 
@@ -590,7 +3990,8 @@ async function handleIncoming(from, text) {
     const reply = await smartAssistantReply(trimmed, userLang);
     st.lastBotText = reply;
     userState.set(from, st);
-    await sendText(from, reply);
+    // на приветствия и болтовню отвечаем вместе с меню
+    await sendMainMenu(from, userLang, reply);
     return;
   }
 
@@ -598,6 +3999,28 @@ async function handleIncoming(from, text) {
 
   // ===== РАСПИСАНИЕ (графики) =====
   if (route.intent === "schedule") {
+    // есть смены этого номера → отвечаем по ним прямо в чате
+    let shifts = [];
+    try {
+      shifts = await getShiftsForPhone(from);
+    } catch (e) {
+      console.error("getShiftsForPhone error:", e);
+    }
+
+    if (shifts.length && route.schedule_question !== "link") {
+      const base = formatScheduleAnswer(
+        shifts,
+        route.schedule_question || "next_shift",
+        route.schedule_date || todayIso()
+      );
+      const resp = await translateWithOpenAI(base, userLang);
+      st.lastBotText = resp;
+      userState.set(from, st);
+      await sendText(from, resp);
+      return;
+    }
+
+    // иначе — как раньше, ссылка на сайт с графиками
     const url = process.env.INDEX_URL || "https://sol-droid-nik.github.io/Calendars/";
     let msg =
       userLang === "ru"
@@ -611,13 +4034,336 @@ async function handleIncoming(from, text) {
     return;
   }
 
+  // ===== СТАВКИ PAM (таблица из KB) =====
+  if (route.intent === "pay_rate") {
+    const dateIso = route.rate_date || todayIso();
+    const table = findPamRateTable(dateIso);
+
+    let base;
+    if (!table) {
+      base = `I couldn't find a PAM rate table valid on ${isoToFiDate(dateIso)}.`;
+    } else if (route.pay_group) {
+      const row = table.groups.find(g => g.group === route.pay_group);
+      base = row
+        ? `PAM TES, pay group ${row.group}: €${fmtEur(row.rate)}/h (table valid from ${isoToFiDate(table.validFrom)}).`
+        : `Pay group ${route.pay_group} is not in the PAM table valid from ${isoToFiDate(table.validFrom)}.`;
+    } else {
+      const rows = table.groups.map(g => {
+        const points = g.points ? `${g.points.min}–${g.points.max} p.` : g.note || "–";
+        return `• Group ${g.group} (${points}): €${fmtEur(g.rate)}/h`;
+      });
+      base = `PAM TES hourly rates from ${isoToFiDate(table.validFrom)}:\n${rows.join("\n")}`;
+    }
+    base += "\n\nSupplements (evening, night, Sunday) are paid on top of the rate.";
+
+    const resp = await translateWithOpenAI(base, userLang);
+    st.lastBotText = resp;
+    userState.set(from, st);
+    await sendText(from, resp);
+    return;
+  }
+
+  // ===== БОЛЬНИЧНЫЙ (детерминированный расчёт) =====
+  if (route.intent === "sick_pay") {
+    let rate = typeof route.hourly_rate === "number" ? route.hourly_rate : null;
+    if (!rate && route.pay_group) {
+      rate = getPamGroupRate(route.pay_group, route.sick_start_date || todayIso())?.rate || null;
+    }
+
+    // чего не хватает для расчёта
+    const missing = [];
+    if (!route.sick_start_date) missing.push("the first day of your sick leave");
+    if (!route.sick_day_hours) missing.push("the hours in your schedule for each sick day");
+    if (!route.employment_start_date) missing.push("the date you started working at SOL");
+    if (!rate) missing.push("your hourly rate or PAM pay group");
+
+    if (missing.length) {
+      const ask = `To calculate your sick pay, please tell me: ${missing.join("; ")}.`;
+      await sendText(from, await translateWithOpenAI(ask, userLang));
+      return;
+    }
+
+    const sick = calcSickPay({
+      startDate: route.sick_start_date,
+      dayHours: route.sick_day_hours,
+      rate,
+      employmentStart: route.employment_start_date,
+    });
+
+    const resp = await translateWithOpenAI(formatSickPay(sick, rate), userLang);
+    st.lastBotText = resp;
+    userState.set(from, st);
+    await sendText(from, resp);
+    return;
+  }
+
+  // ===== СООБЩЕНИЕ О БОЛЕЗНИ (пошаговый диалог) =====
+  if (route.intent === "sick_report") {
+    const report = activeSickReport(st);
+    if (route.sick_start_date) report.start = route.sick_start_date;
+    if (route.sick_expected_days) report.days = route.sick_expected_days;
+
+    let base;
+    if (!report.start) {
+      report.step = "start";
+      base = "Sorry to hear you are ill. From which day are you sick? (for example: today, tomorrow, 12.3.)";
+    } else if (!report.days) {
+      report.step = "days";
+      base = `Sick from ${isoToFiDate(report.start)}. How many days do you expect to be off?`;
+    } else if (emp?.supervisor_phone) {
+      report.step = "confirm";
+      const { leave } = mergeSickLeave(st.sickLeaves, report.start, report.days);
+      base = `${formatSickReportRequirements(leave)}\n\nShall I send this sick leave report to your supervisor now? (yes / no)`;
+    } else {
+      // руководителя не знаем — только записываем дни и объясняем, что делать
+      report.step = null;
+      base = await submitSickReport(from, st, report);
+    }
+
+    if (report.step) {
+      report.at = Date.now();
+      st.sickReport = report;
+    }
+
+    const resp = await translateWithOpenAI(base, userLang);
+    st.lastBotText = resp;
+    userState.set(from, st);
+
+    if (report.step === "start") {
+      await sendButtons(from, resp, [
+        { id: "sick_start:today", title: uiLabel("today", userLang) },
+        { id: "sick_start:tomorrow", title: uiLabel("tomorrow", userLang) },
+      ]);
+    } else if (report.step === "days") {
+      await sendList(
+        from,
+        resp,
+        uiLabel("choose", userLang),
+        SICK_DAY_CHOICES.map(n => ({ id: `sick_days:${n}`, title: uiLabel("days", userLang).replace("{n}", n) }))
+      );
+    } else if (report.step === "confirm") {
+      await sendButtons(from, resp, yesNoButtons(userLang));
+    } else {
+      await sendText(from, resp);
+    }
+    return;
+  }
+
+  // ===== ПРОФИЛЬ СОТРУДНИКА =====
+  if (route.intent === "profile") {
+    let base;
+    if (route.profile_action === "update" && route.profile_updates) {
+      const updates = Object.fromEntries(
+        Object.entries(route.profile_updates).filter(([key]) => EMPLOYEE_SELF_EDITABLE.includes(key))
+      );
+      try {
+        base = "✅ Saved.\n" + formatProfile(upsertEmployee(from, updates));
+      } catch (err) {
+        base = `I couldn't save that: ${err.message}.`;
+      }
+    } else if (emp) {
+      base = formatProfile(emp);
+    } else {
+      base = "I don't have a profile for your number yet. Tell me e.g. your pay group and start date at SOL, or ask your supervisor to add you.";
+    }
+
+    const resp = await translateWithOpenAI(base, userLang);
+    st.lastBotText = resp;
+    userState.set(from, st);
+    await sendText(from, resp);
+    return;
+  }
+
+  // ===== НАСТРОЙКИ НАПОМИНАНИЙ =====
+  if (route.intent === "reminder_settings") {
+    if (route.reminders_enabled === false) st.remindersOff = true;
+    if (route.reminders_enabled === true) st.remindersOff = false;
+    if (route.reminder_lead_minutes) {
+      st.reminderLeadMinutes = route.reminder_lead_minutes;
+      st.remindersOff = false;
+    }
+
+    const lead = st.reminderLeadMinutes || REMINDER_DEFAULT_LEAD_MINUTES;
+    const base = st.remindersOff
+      ? "Shift reminders are turned off. I will still tell you if a shift changes. Write \"turn reminders on\" to enable them again."
+      : `Shift reminders are on: I will remind you ${lead} minutes before each shift and tell you if a shift changes.`;
+
+    const resp = await translateWithOpenAI(base, userLang);
+    st.lastBotText = resp;
+    userState.set(from, st);
+    await sendText(from, resp);
+    return;
+  }
+
+  // ===== ХИМИЯ (выбор средства, дозировка, смешивание) =====
+  if (route.intent === "chemical") {
+    if (!KB_CACHE.files.length) loadKbFiles();
+
+    let base;
+    const product = route.chem_product
+      ? findChemicalProduct(route.chem_product)
+      : route.chem_problem
+      ? chooseChemicalProduct(route.chem_problem, route.chem_severity)
+      : null;
+    // хлорка + средство, которое мы бы посоветовали, — тоже смешивание
+    const mixNames = route.chem_mix_products?.length
+      ? route.chem_mix_products
+      : route.chem_mentions_chlorine && product
+      ? [product.name]
+      : [];
+    const mix = checkChemicalMix(mixNames, route.chem_mentions_chlorine);
+
+    if (mix) {
+      // просьбу смешать не выполняем никогда
+      base = formatChemicalMixWarning(mix, route.chem_mentions_chlorine);
+    } else {
+      base = product
+        ? formatChemicalAdvice(product, {
+            container: route.chem_container,
+            volumeLiters: route.chem_volume_liters,
+          })
+        : "Tell me what you need to clean (limescale, grease, toilet, windows, dishes) or which SOL product you have, and the bucket or spray bottle size.";
+    }
+
+    const resp = await translateWithOpenAI(base, userLang);
+    st.lastBotText = resp;
+    userState.set(from, st);
+    await sendText(from, resp);
+    return;
+  }
+
+  // ===== КАЛЕНДАРЬ (праздники и дни выплаты) =====
+  if (route.intent === "calendar") {
+    const base = formatCalendarAnswer(
+      route.calendar_question || "next_payday",
+      route.calendar_date || todayIso()
+    );
+    const resp = await translateWithOpenAI(base, userLang);
+    st.lastBotText = resp;
+    userState.set(from, st);
+    await sendText(from, resp);
+    return;
+  }
+
+  // ===== ОТПУСК (накопление дней) =====
+  if (route.intent === "leave_calc") {
+    if (!route.employment_start_date) {
+      const ask = "To calculate your annual leave, please tell me the date you started working at SOL.";
+      await sendText(from, await translateWithOpenAI(ask, userLang));
+      return;
+    }
+
+    const period = defaultLeavePeriod();
+    const leave = calcLeaveAccrual({
+      employmentStart: route.employment_start_date,
+      periodStart: route.leave_period_start || period.start,
+      periodEnd: route.leave_period_end || period.end,
+    });
+
+    const resp = await translateWithOpenAI(formatLeaveAccrual(leave), userLang);
+    st.lastBotText = resp;
+    userState.set(from, st);
+    await sendText(from, resp);
+    return;
+  }
+
+  // ===== УВОЛЬНЕНИЕ (срок уведомления) =====
+  if (route.intent === "notice_calc") {
+    const missing = [];
+    if (!route.employment_start_date) missing.push("the date you started working at SOL");
+    if (!route.notice_by) missing.push("whether you resign yourself or the employer terminates the contract");
+
+    if (missing.length) {
+      const ask = `To calculate the notice period, please tell me: ${missing.join("; ")}.`;
+      await sendText(from, await translateWithOpenAI(ask, userLang));
+      return;
+    }
+
+    const notice = calcNoticePeriod({
+      employmentStart: route.employment_start_date,
+      noticeDate: route.notice_date || todayIso(),
+      noticeBy: route.notice_by,
+    });
+
+    const resp = await translateWithOpenAI(formatNoticePeriod(notice), userLang);
+    st.lastBotText = resp;
+    userState.set(from, st);
+    await sendText(from, resp);
+    return;
+  }
+
   // ===== ЗАРПЛАТА (детерминированный расчёт) =====
 if (route.intent === "salary_calc") {
-  const rate =
+  let rate =
     typeof route.hourly_rate === "number" && route.hourly_rate > 6
       ? route.hourly_rate
-      : 12.26; // ставка по умолчанию
+      : null;
+  let rateLabel = "";
+
+  // вместо ставки пользователь может назвать группу PAM
+  if (!rate && route.pay_group) {
+    const row = getPamGroupRate(route.pay_group, route.rate_date || todayIso());
+    if (row) {
+      rate = row.rate;
+      rateLabel = ` (PAM group ${row.group}, table from ${isoToFiDate(row.validFrom)})`;
+    }
+  }
+
+  if (!rate) {
+    await sendText(
+      from,
+      userLang === "ru"
+        ? "Укажи, пожалуйста, свою часовую ставку (например 12,26 €/ч) или группу оплаты PAM."
+        : userLang === "fi"
+        ? "Kerro tuntipalkkasi (esim. 12,26 €/h) tai PAM-palkkaryhmäsi."
+        : "Tell me your hourly rate (e.g. 12.26 €/h) or your PAM pay group."
+    );
+    return;
+  }
+
+  // "на руки" считаем, только если пользователь об этом просил; иначе — пометка "до налогов"
+  const wantNet = route.want_net || typeof route.tax_rate === "number" || route.no_tax_card;
+  const netText = gross =>
+    wantNet
+      ? formatNetPay(
+          calcNetPay(gross, {
+            taxRate: route.tax_rate,
+            noTaxCard: route.no_tax_card,
+            unionMember: route.union_member,
+            age: route.age,
+          })
+        )
+      : "\n💬 These amounts are BEFORE taxes.\n";
+
+  // часы по датам: праздники и воскресенья отмечаем сами по календарю
+  let holidayNote = "";
+  if (route.work_days) {
+    const split = splitHoursByCalendar(route.work_days);
+    route.ordinary_hours = (route.ordinary_hours || 0) + split.ordinary || null;
+    route.sunday_hours = (route.sunday_hours || 0) + split.sunday || null;
+    if (split.flagged.length) {
+      holidayNote =
+        "\nPaid as Sunday/holiday hours:\n" +
+        split.flagged.map(f => `• ${isoToFiDate(f.date)} (${f.name}): ${fmtHours(f.hours)} h`).join("\n") +
+        "\n";
+    }
+  }
+
+  // 1) Часы по видам работы → расчёт с надбавками PAM
+  const hasBreakdown = PAY_HOUR_FIELDS.some(key => typeof route[key] === "number");
+  if (hasBreakdown) {
+    const pay = calcPamPay({ ...route, rate });
+    const resp = await translateWithOpenAI(
+      formatPamPayBreakdown(pay, rateLabel) + holidayNote + netText(pay.total),
+      userLang
+    );
+    st.lastBotText = resp;
+    userState.set(from, st);
+    await sendText(from, resp);
+    return;
+  }
 
+  // 2) Только часы в неделю → оценка месячной зарплаты
   const hours =
     typeof route.hours_per_week === "number" &&
     route.hours_per_week >= 5 &&
@@ -640,15 +4386,14 @@ if (route.intent === "salary_calc") {
   const by4 = (rate * hours * 4).toFixed(2);
 
   let base = `
-Hourly rate: €${rate.toFixed(2)}
+Hourly rate: €${rate.toFixed(2)}${rateLabel}
 Hours per week: ${hours}
 
 Estimated monthly salary:
 • 52/12 method (≈4.33 weeks): €${by433}
 • 4-week method: €${by4}
-
-💬 These amounts are BEFORE taxes.
 `;
+  base += netText(Number(by433));
 
   const resp = await translateWithOpenAI(base, userLang);
   st.lastBotText = resp;
@@ -659,15 +4404,20 @@ Estimated monthly salary:
 
      if (route.intent === "kb") {
     // Сформируем запрос в KB с учётом контекста
-    const kbQuery = buildKbQuery(trimmed, st);
+    // (последнее сообщение в истории — это текущее, его не берём)
+    const history = userState.getHistory(from, KB_FOLLOWUP_HISTORY + 1).slice(0, -1);
+    const kbQuery = await buildKbQuery(trimmed, history, st);
 
     try {
-      const reply = await answerFromKb(kbQuery, userLang);
-      await sendText(from, reply);
+      const { text: reply, answered } = await answerFromKb(kbQuery, userLang, profileContext(emp));
+      if (answered) await sendText(from, reply);
+      else await sendButtons(from, reply, yesNoButtons(userLang));
 
       // запомним последний "основной" вопрос для будущих уточнений
       st.lastKbQuery = kbQuery;
       st.lastBotText = reply;
+      // KB не ответила — следующим сообщением ждём "да/нет" на передачу в HR
+      if (!answered) st.pendingEscalation = { question: trimmed, at: Date.now() };
       userState.set(from, st);
     } catch (e) {
       console.error("answerFromKb error:", e);
@@ -692,5 +4442,47 @@ Estimated monthly salary:
 
 
 // ===== START =====
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log("V4 bot running on port", PORT));
+// в тестах (NODE_ENV=test) сервер не запускаем — тесты сами слушают app
+if (process.env.NODE_ENV !== "test") {
+  const PORT = process.env.PORT || 3000;
+  const server = app.listen(PORT, () => console.log("V4 bot running on port", PORT));
+  startReminderScheduler();
+
+  // KB индексируем сразу при старте (из дискового кэша это быстро) и следим за изменениями
+  reindexKb();
+  watchKb();
+
+  // перед остановкой (редеплой / Ctrl+C) дорабатываем очередь и сохраняем состояние
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, async () => {
+      console.log(`${signal}: finishing ${messageQueue.size()} queued message(s)...`);
+      server.close();
+      const drained = await messageQueue.drain(SHUTDOWN_DRAIN_MS);
+      if (!drained) console.warn("Shutdown: queue not drained in time, left:", messageQueue.size());
+      userState.flush();
+      process.exit(0);
+    });
+  }
+}
+
+export {
+  app,
+  createMessageQueue,
+  finnishHolidays,
+  payPeriodFor,
+  calcLeaveAccrual,
+  formatLeaveAccrual,
+  calcNoticePeriod,
+  calcSickPay,
+  formatSickPay,
+  calcNetPay,
+  parsePamRateTables,
+  parsePamSupplements,
+  parseChemicalCatalog,
+  formatKbSource,
+  sendWhatsAppMessage,
+  sendTemplate,
+  sendButtons,
+  formatForWhatsApp,
+  splitWhatsAppText,
+};
@@ -0,0 +1,59 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startTestServer, ADMIN_TOKEN } from "./helpers.js";
+
+const unansweredFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "sol-admin-")), "unanswered.json");
+fs.writeFileSync(
+  unansweredFile,
+  JSON.stringify([{ id: "q1", phone: "358405555555", question: "Can I swap shifts?", lang: "en", status: "open" }])
+);
+
+let testServer;
+
+before(async () => {
+  testServer = await startTestServer({ UNANSWERED_FILE: unansweredFile, OUTBOUND_MAX_ATTEMPTS: "1" });
+});
+
+after(() => {
+  testServer.close();
+  fs.rmSync(path.dirname(unansweredFile), { recursive: true, force: true });
+});
+
+function resolve(answer) {
+  return fetch(testServer.baseUrl + "/admin/unanswered/q1/resolve", {
+    method: "POST",
+    headers: { Authorization: "Bearer " + ADMIN_TOKEN, "Content-Type": "application/json" },
+    body: JSON.stringify({ answer }),
+  });
+}
+
+test("keeps the question open when the answer cannot be delivered", async t => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(axios, "post", async () => {
+    throw Object.assign(new Error("Request failed with status code 400"), {
+      response: { status: 400, headers: {}, data: { error: { code: 132001, message: "template missing" } } },
+    });
+  });
+
+  const res = await resolve("Yes, ask your supervisor.");
+  assert.equal(res.status, 502);
+  const { error, item } = await res.json();
+  assert.ok(error);
+  assert.equal(item.status, "open");
+  assert.equal(item.deliveryFailed, true);
+});
+
+test("resolves the question once the answer is delivered", async t => {
+  const post = t.mock.method(axios, "post", async () => ({ data: { messages: [{ id: "wamid.TEST_ANSWER" }] } }));
+
+  const res = await resolve("Yes, ask your supervisor.");
+  assert.equal(res.status, 200);
+  const item = await res.json();
+  assert.equal(item.status, "resolved");
+  assert.equal(item.deliveryFailed, undefined);
+  assert.equal(post.mock.callCount(), 1);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.STATE_STORE = "memory";
+process.env.OPENAI_API_KEY ||= "test";
+
+const { finnishHolidays, payPeriodFor } = await import("../server.js");
+
+test("lists the Finnish public holidays of 2026", () => {
+  const holidays = finnishHolidays(2026);
+
+  assert.deepEqual(
+    holidays.filter(h => !h.dayOff).map(h => h.date),
+    [
+      "2026-01-01", // uudenvuodenpäivä
+      "2026-01-06", // loppiainen
+      "2026-04-03", // pitkäperjantai
+      "2026-04-05", // pääsiäispäivä
+      "2026-04-06", // 2. pääsiäispäivä
+      "2026-05-01", // vappu
+      "2026-05-14", // helatorstai
+      "2026-06-20", // juhannuspäivä
+      "2026-10-31", // pyhäinpäivä
+      "2026-12-06", // itsenäisyyspäivä
+      "2026-12-25", // joulupäivä
+      "2026-12-26", // tapaninpäivä
+    ]
+  );
+  // juhannusaatto и jouluaatto — выходные, но не праздники
+  assert.deepEqual(
+    holidays.filter(h => h.dayOff).map(h => h.date),
+    ["2026-06-19", "2026-12-24"]
+  );
+});
+
+test("puts All Saints' Day on the Saturday between 31.10. and 6.11.", () => {
+  const allSaints = year => finnishHolidays(year).find(h => h.name.includes("pyhäinpäivä")).date;
+  assert.equal(allSaints(2025), "2025-11-01");
+  assert.equal(allSaints(2027), "2027-11-06");
+});
+
+test("moves the payday back to the previous business day", () => {
+  const cases = [
+    { date: "2026-12-03", payday: "2026-12-23" }, // 25.12. праздник, 24.12. банки закрыты
+    { date: "2027-12-03", payday: "2027-12-23" },
+    { date: "2026-04-03", payday: "2026-04-24" }, // 25.4. — суббота
+    { date: "2026-05-20", payday: "2026-06-10" }, // обычная среда
+    { date: "2026-06-10", payday: "2026-06-25" }, // juhannusaatto 19.6. не мешает
+  ];
+  for (const { date, payday } of cases) {
+    assert.equal(payPeriodFor(date).payday, payday, date);
+  }
+});
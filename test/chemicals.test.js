@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+
+process.env.NODE_ENV = "test";
+process.env.STATE_STORE = "memory";
+process.env.OPENAI_API_KEY ||= "test";
+
+const { parseChemicalCatalog } = await import("../server.js");
+
+const files = ["chemicals.md", "chemicals-simple.md"].map(name => ({
+  name,
+  content: fs.readFileSync(new URL(`../kb/${name}`, import.meta.url), "utf8"),
+}));
+
+test("reads SOL products with pH type and dosage", () => {
+  const { products } = parseChemicalCatalog(files);
+  const byName = Object.fromEntries(products.map(p => [p.name, p]));
+
+  assert.equal(products.length, 8);
+  const cases = [
+    ["Kasperi", 1, "acid", { min: 1, max: 4 }],
+    ["Sanitop", 4, "acid", { min: 1, max: 4 }],
+    ["Biorine", 7, "neutral", { min: 4, max: 8 }],
+    ["Sartek 2", 13, "alkaline", { min: 5, max: 20 }],
+    ["Yleispuhdistaja", 8.5, "alkaline", { min: 5, max: 5 }],
+    ["Astianpesu", 7, "neutral", { min: 0.8, max: 0.8 }],
+  ];
+  for (const [name, ph, type, dosage] of cases) {
+    assert.equal(byName[name].ph, ph, name);
+    assert.equal(byName[name].type, type, name);
+    assert.deepEqual(byName[name].dosage, dosage, name);
+    assert.ok(byName[name].uses.length, name);
+  }
+});
+
+test("reads the product choice by problem and level", () => {
+  const { selection } = parseChemicalCatalog(files);
+
+  assert.deepEqual(
+    selection.filter(o => o.problem === "limescale").map(o => [o.level, o.products]),
+    [["Лёгкий", ["Sanitop"]], ["Сильный", ["Kasperi"]]]
+  );
+  assert.deepEqual(selection.find(o => o.problem === "toilet" && o.level === "Камень").products, ["Sanitop", "Kasperi"]);
+  assert.deepEqual(selection.find(o => o.problem === "glass").products, ["Window"]);
+});
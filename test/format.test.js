@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.STATE_STORE = "memory";
+process.env.OPENAI_API_KEY ||= "test";
+
+const { formatForWhatsApp, splitWhatsAppText } = await import("../server.js");
+
+test("converts Markdown emphasis, headings and lists", () => {
+  const md = [
+    "## Sick pay in **PAM**",
+    "",
+    "The *first* day is __unpaid__ ~~always~~.",
+    "- see [PAM TES](https://pam.fi/tes)",
+    "  * nested item",
+    "---",
+    "> Call your supervisor",
+  ].join("\n");
+
+  assert.equal(
+    formatForWhatsApp(md),
+    [
+      "*Sick pay in PAM*",
+      "",
+      "The _first_ day is *unpaid* ~always~.",
+      "• see PAM TES (https://pam.fi/tes)",
+      "  • nested item",
+      "",
+      "Call your supervisor",
+    ].join("\n")
+  );
+});
+
+test("turns tables into readable lines", () => {
+  const md = ["| Group | Rate | Points |", "|---|---:|---|", "| 1 | 12,26 € | 0–5 |", "| 2 | **12,80 €** | |"].join("\n");
+
+  assert.equal(
+    formatForWhatsApp(md),
+    ["• *Group 1* — Rate: 12,26 €, Points: 0–5", "• *Group 2* — Rate: *12,80 €*"].join("\n")
+  );
+});
+
+test("leaves plain bot texts and code blocks alone", () => {
+  const text = "• 5 h × 12,26 € = 61,30 €\n2 * 3 = 6\n```\n**raw**\n```";
+  assert.equal(formatForWhatsApp(text), text);
+});
+
+test("keeps short replies in one part", () => {
+  assert.deepEqual(splitWhatsAppText("hello"), ["hello"]);
+});
+
+test("splits long replies at paragraph boundaries into numbered parts", () => {
+  const paragraph = "Lorem ipsum dolor sit amet. ".repeat(40).trim(); // ~1100 символов
+  const text = Array(10).fill(paragraph).join("\n\n");
+
+  const parts = splitWhatsAppText(text);
+  assert.ok(parts.length > 1);
+  parts.forEach((part, i) => {
+    assert.ok(part.length <= 4096);
+    assert.ok(part.startsWith(`(${i + 1}/${parts.length})\n`));
+    assert.ok(part.endsWith("amet."), "cut inside a paragraph");
+  });
+  assert.equal(parts.map(p => p.replace(/^\(\d+\/\d+\)\n/, "")).join("\n\n"), text);
+});
+
+test("hard-cuts a reply without any spaces", () => {
+  const parts = splitWhatsAppText("x".repeat(9000));
+  assert.equal(parts.length, 3);
+  assert.ok(parts.every(p => p.length <= 4096));
+});
@@ -0,0 +1,65 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+export const APP_SECRET = "test-app-secret";
+export const ADMIN_TOKEN = "test-admin-token";
+
+// окружение задаём до импорта server.js: он читает process.env при загрузке
+export async function startTestServer(env = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sol-test-"));
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    STATE_STORE: "memory",
+    WHATSAPP_APP_SECRET: APP_SECRET,
+    ADMIN_TOKEN,
+    OPENAI_API_KEY: "test",
+    EMPLOYEES_FILE: path.join(tmpDir, "employees.json"),
+    UNANSWERED_FILE: path.join(tmpDir, "unanswered.json"),
+    DEAD_LETTER_FILE: path.join(tmpDir, "dead-letters.json"),
+    ...env,
+  });
+
+  const server_ = await import("../server.js");
+  const server = server_.app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+
+  return {
+    module: server_,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    },
+  };
+}
+
+export function readFixture(name) {
+  return fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+}
+
+export function sign(body, secret = APP_SECRET) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+export function postWebhook(baseUrl, body, signature) {
+  const headers = { "Content-Type": "application/json" };
+  if (signature) headers["X-Hub-Signature-256"] = signature;
+  return fetch(baseUrl + "/webhook", { method: "POST", headers, body });
+}
+
+export async function getAdmin(baseUrl, pathname) {
+  const res = await fetch(baseUrl + pathname, { headers: { Authorization: "Bearer " + ADMIN_TOKEN } });
+  return res.json();
+}
+
+// ответы уходят из очереди уже после 200 на вебхук — ждём, пока мок отправки вызовут n раз
+export async function waitForCalls(mockFn, n) {
+  for (let i = 0; i < 100 && mockFn.mock.callCount() < n; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  // и немного ещё — чтобы заметить лишние вызовы
+  await new Promise(resolve => setTimeout(resolve, 30));
+  return mockFn.mock.calls.map(c => c.arguments[1]);
+}
@@ -0,0 +1,53 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { startTestServer, readFixture, sign, postWebhook, waitForCalls } from "./helpers.js";
+
+let testServer;
+
+before(async () => {
+  testServer = await startTestServer();
+});
+
+after(() => testServer.close());
+
+async function waitForSend(post) {
+  const sent = await waitForCalls(post, 1);
+  assert.equal(sent.length, 1);
+  return sent[0];
+}
+
+function mockGraph(t) {
+  t.mock.method(console, "log", () => {});
+  return t.mock.method(axios, "post", async () => ({ data: { messages: [{ id: "wamid.TEST_OUT" }] } }));
+}
+
+test("answers a list tap with the chemicals list without the router", async t => {
+  const post = mockGraph(t);
+  const body = readFixture("list-reply.json");
+  assert.equal((await postWebhook(testServer.baseUrl, body, sign(body))).status, 200);
+
+  const payload = await waitForSend(post);
+  assert.equal(payload.to, "358403333333");
+  assert.equal(payload.type, "interactive");
+  assert.equal(payload.interactive.type, "list");
+  assert.equal(payload.interactive.body.text, "What do you need to clean?");
+
+  const rows = payload.interactive.action.sections[0].rows;
+  assert.ok(rows.some(r => r.id === "chem:limescale:heavy" && r.title === "Limescale — heavy"));
+  assert.ok(rows.every(r => r.title.length <= 24));
+  assert.ok(rows.length <= 10);
+});
+
+test("shows the main menu for a yes tap with nothing to confirm", async t => {
+  const post = mockGraph(t);
+  const body = readFixture("button-reply.json");
+  assert.equal((await postWebhook(testServer.baseUrl, body, sign(body))).status, 200);
+
+  const payload = await waitForSend(post);
+  assert.equal(payload.interactive.type, "list");
+  assert.deepEqual(
+    payload.interactive.action.sections[0].rows.map(r => r.id),
+    ["menu:salary", "menu:sick", "menu:chemicals", "menu:shifts", "menu:translate"]
+  );
+});
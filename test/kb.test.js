@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.STATE_STORE = "memory";
+process.env.OPENAI_API_KEY ||= "test";
+
+const { formatKbSource } = await import("../server.js");
+
+test("cites KB sections by number or by a clean heading", () => {
+  const cases = [
+    ["pam.md", "pam.md › 15. Ежегодный оплачиваемый отпуск", "PAM TES §15"],
+    ["pam.md", "pam.md › 💰 PAM TES — часовые ставки (siivooja) › С 1.8.2025", "PAM TES: часовые ставки (siivooja)"],
+    ["pam.md", "pam.md › PAM TES", "PAM TES"],
+    ["chemicals.md", "chemicals.md › 1) KASPERI › Для чего", "SOL chemicals: KASPERI"],
+    ["pam.md", "pam.md", "PAM TES"],
+  ];
+  for (const [name, section, expected] of cases) {
+    assert.equal(formatKbSource({ name, section }), expected);
+  }
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.STATE_STORE = "memory";
+process.env.OPENAI_API_KEY ||= "test";
+
+const { calcLeaveAccrual, formatLeaveAccrual, calcNoticePeriod } = await import("../server.js");
+
+test("counts only completed months of annual leave", () => {
+  const leave = calcLeaveAccrual({
+    employmentStart: "2020-02-01",
+    periodStart: "2026-04-01",
+    periodEnd: "2026-10-19",
+  });
+
+  assert.deepEqual(leave.months.map(m => m.month), [
+    "2026-04", "2026-05", "2026-06", "2026-07", "2026-08", "2026-09",
+  ]);
+  assert.equal(leave.openMonth, "2026-10");
+  assert.equal(leave.totalDays, 18); // 6 × 3 (стаж больше 5 лет)
+
+  const text = formatLeaveAccrual(leave);
+  assert.match(text, /10\/2026 is not over yet/);
+  assert.match(text, /up to 18 days/);
+  assert.match(text, /vuosilomalaki/);
+});
+
+test("applies the 14-day rule and seniority per month", () => {
+  const cases = [
+    // начал 18.5. — в мае 14 дней, май засчитан
+    { employmentStart: "2026-05-18", periodEnd: "2026-07-31", months: 3, totalDays: 6 },
+    // начал 19.5. — в мае 13 дней, май не засчитан
+    { employmentStart: "2026-05-19", periodEnd: "2026-07-31", months: 2, totalDays: 4 },
+    // годовщина 15.6.: апрель и май по 2 дня, июнь и июль — по 2,5
+    { employmentStart: "2025-06-15", periodEnd: "2026-07-31", months: 4, totalDays: 9 },
+    { employmentStart: "2026-04-01", periodEnd: "2026-04-30", months: 1, totalDays: 2 },
+  ];
+  for (const { employmentStart, periodEnd, months, totalDays } of cases) {
+    const leave = calcLeaveAccrual({ employmentStart, periodStart: "2026-04-01", periodEnd });
+    assert.equal(leave.months.length, months, employmentStart);
+    assert.equal(leave.totalDays, totalDays, employmentStart);
+  }
+});
+
+test("picks the notice period by seniority", () => {
+  const noticeDate = "2026-10-19";
+  const cases = [
+    // [кто увольняет, начало работы, срок, последний день]
+    ["employee", "2021-10-20", { days: 14 }, "2026-11-02"], // 4 года 364 дня
+    ["employee", "2021-10-19", { months: 1 }, "2026-11-19"], // ровно 5 лет
+    ["employer", "2026-01-01", { days: 14 }, "2026-11-02"],
+    ["employer", "2025-10-19", { months: 1 }, "2026-11-19"],
+    ["employer", "2022-10-19", { months: 2 }, "2026-12-19"],
+    ["employer", "2018-10-19", { months: 4 }, "2027-02-19"],
+    ["employer", "2014-10-19", { months: 6 }, "2027-04-19"],
+  ];
+  for (const [noticeBy, employmentStart, length, lastDay] of cases) {
+    const notice = calcNoticePeriod({ employmentStart, noticeDate, noticeBy });
+    const label = `${noticeBy} ${employmentStart}`;
+    assert.equal(notice.rule.days, length.days, label);
+    assert.equal(notice.rule.months, length.months, label);
+    assert.equal(notice.lastDay, lastDay, label);
+  }
+});
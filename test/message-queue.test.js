@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.STATE_STORE = "memory";
+process.env.OPENAI_API_KEY ||= "test";
+
+const { createMessageQueue } = await import("../server.js");
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test("runs one user's messages strictly in order", async () => {
+  const queue = createMessageQueue(4);
+  const done = [];
+
+  queue.push("a", async () => {
+    await sleep(20);
+    done.push("a1");
+  });
+  queue.push("a", async () => done.push("a2"));
+  queue.push("a", async () => done.push("a3"));
+
+  assert.equal(await queue.drain(1000), true);
+  assert.deepEqual(done, ["a1", "a2", "a3"]);
+});
+
+test("runs different users in parallel up to the limit", async () => {
+  const queue = createMessageQueue(2);
+  let running = 0;
+  let peak = 0;
+  const task = async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(10);
+    running--;
+  };
+
+  for (const phone of ["a", "b", "c", "d"]) queue.push(phone, task);
+
+  assert.equal(await queue.drain(1000), true);
+  assert.equal(peak, 2);
+});
+
+test("keeps going after a failing message", async t => {
+  t.mock.method(console, "error", () => {});
+  const queue = createMessageQueue(1);
+  const done = [];
+
+  queue.push("a", async () => {
+    throw new Error("boom");
+  });
+  queue.push("a", async () => done.push("a2"));
+
+  assert.equal(await queue.drain(1000), true);
+  assert.deepEqual(done, ["a2"]);
+});
+
+test("drain reports a timeout and closes the queue", async () => {
+  const queue = createMessageQueue(1);
+  queue.push("a", () => sleep(200));
+
+  assert.equal(await queue.drain(20), false);
+  assert.equal(queue.closed, true);
+  await sleep(200);
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { startTestServer, readFixture, sign, postWebhook, getAdmin } from "./helpers.js";
+
+const PHONE = "358409999999";
+
+let testServer;
+
+before(async () => {
+  testServer = await startTestServer({ OUTBOUND_RETRY_BASE_MS: "1", OUTBOUND_MAX_ATTEMPTS: "3" });
+});
+
+after(() => testServer.close());
+
+function graphError(status, code, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers, data: { error: { code, message: "test" } } },
+  });
+}
+
+function graphOk(id) {
+  return { data: { messages: [{ id }] } };
+}
+
+test("retries a rate-limited send and returns the message id", async t => {
+  t.mock.method(console, "warn", () => {});
+  const replies = [graphError(429, 130429), graphError(400, 131056), graphOk("wamid.TEST_OUT_1")];
+  const post = t.mock.method(axios, "post", async () => {
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    return reply;
+  });
+
+  const id = await testServer.module.sendWhatsAppMessage(PHONE, { type: "text", text: { body: "hi" } });
+  assert.equal(id, "wamid.TEST_OUT_1");
+  assert.equal(post.mock.callCount(), 3);
+});
+
+test("puts a message that cannot be sent into dead letters", async t => {
+  t.mock.method(console, "error", () => {});
+  const post = t.mock.method(axios, "post", async () => {
+    throw graphError(400, 131026);
+  });
+
+  const id = await testServer.module.sendWhatsAppMessage(PHONE, { type: "text", text: { body: "lost" } });
+  assert.equal(id, null);
+  assert.equal(post.mock.callCount(), 1); // не лимит — повторять бессмысленно
+
+  const dead = await getAdmin(testServer.baseUrl, "/admin/dead-letters?status=dead");
+  assert.equal(dead.length, 1);
+  assert.equal(dead[0].to, PHONE);
+  assert.equal(dead[0].message.text.body, "lost");
+  assert.equal(dead[0].error.code, 131026);
+});
+
+test("gives up on network errors after the last attempt", async t => {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+  const post = t.mock.method(axios, "post", async () => {
+    throw new Error("socket hang up");
+  });
+
+  assert.equal(await testServer.module.sendWhatsAppMessage(PHONE, { type: "text", text: { body: "x" } }), null);
+  assert.equal(post.mock.callCount(), 3);
+});
+
+test("records status callbacks against outgoing message ids", async t => {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(axios, "post", async () => graphOk("wamid.TEST_OUT_1"));
+  await testServer.module.sendWhatsAppMessage(PHONE, { type: "text", text: { body: "status me" } });
+
+  const body = readFixture("message-statuses.json");
+  const res = await postWebhook(testServer.baseUrl, body, sign(body));
+  assert.equal(res.status, 200);
+
+  const outbound = await getAdmin(testServer.baseUrl, `/admin/outbound/${PHONE}`);
+  const first = outbound.find(m => m.id === "wamid.TEST_OUT_1");
+  assert.equal(first.type, "text");
+  assert.equal(first.status, "read"); // "sent", пришедший после "delivered", статус не откатывает
+  assert.deepEqual(Object.keys(first.statuses).sort(), ["delivered", "read", "sent"]);
+
+  const failed = outbound.find(m => m.id === "wamid.TEST_OUT_2");
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.errors[0].code, 131047);
+});
+
+test("sends template parameters as single lines", async t => {
+  const post = t.mock.method(axios, "post", async () => graphOk("wamid.TEST_TEMPLATE_1"));
+
+  await testServer.module.sendTemplate(PHONE, "shift_changed", "en", [
+    "📅 Your shift has changed.\nBefore: Mon 2.3. 8:00–12:00\n  Now:\tMon 2.3. 9:00–13:00     (site)",
+  ]);
+
+  const payload = post.mock.calls[0].arguments[1];
+  assert.equal(payload.type, "template");
+  assert.equal(payload.template.name, "shift_changed");
+  const [param] = payload.template.components[0].parameters;
+  assert.equal(param.text, "📅 Your shift has changed. · Before: Mon 2.3. 8:00–12:00 · Now: Mon 2.3. 9:00–13:00   (site)");
+  assert.doesNotMatch(param.text, /[\n\t]| {4,}/);
+});
+
+test("sends a long button body as formatted text above the buttons", async t => {
+  const post = t.mock.method(axios, "post", async () => graphOk("wamid.TEST_BUTTONS_1"));
+  const text = "This is **bold** text.\n\n" + "Lorem ipsum dolor sit amet. ".repeat(40).trim();
+
+  await testServer.module.sendButtons(PHONE, text, [{ id: "confirm:yes", title: "Yes" }]);
+
+  const [body, buttons] = post.mock.calls.map(c => c.arguments[1]);
+  assert.equal(body.type, "text");
+  assert.ok(body.text.body.startsWith("This is *bold* text."), body.text.body.slice(0, 40));
+  assert.equal(buttons.type, "interactive");
+  assert.equal(buttons.interactive.body.text, "👇");
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+
+process.env.NODE_ENV = "test";
+process.env.STATE_STORE = "memory";
+process.env.OPENAI_API_KEY ||= "test";
+
+const { parsePamSupplements, parsePamRateTables, calcNetPay } = await import("../server.js");
+
+test("reads PAM supplements from kb/pam.md", () => {
+  const markdown = fs.readFileSync(new URL("../kb/pam.md", import.meta.url), "utf8");
+  assert.deepEqual(parsePamSupplements(markdown), {
+    evening: 0.71,
+    night: 1.32,
+    sunday: 1,
+    experience10y: 0.3,
+  });
+});
+
+test("follows changes in the supplements table", () => {
+  const markdown = [
+    "### Дополнительные надбавки",
+    "| Вид работы | Надбавка €/ч |",
+    "|:--|:--:|",
+    "| Вечернее время (18:00–23:00) | +0,75 |",
+    "| Ночное время (23:00–06:00) | +1.40 |",
+    "| Воскресенье и праздники | +100 % |",
+    "",
+    "## 13. Расчёт оклада",
+    "| За опыт работы свыше 10 лет | +9.99 |",
+  ].join("\n");
+
+  assert.deepEqual(parsePamSupplements(markdown), { evening: 0.75, night: 1.4, sunday: 1 });
+});
+
+test("reads the PAM rate tables by validity date", () => {
+  const markdown = fs.readFileSync(new URL("../kb/pam.md", import.meta.url), "utf8");
+  const tables = parsePamRateTables(markdown);
+
+  assert.deepEqual(tables.map(t => t.validFrom), ["2025-08-01", "2026-08-01", "2027-07-01"]);
+  assert.ok(tables.every(t => t.groups.length === 10));
+  assert.deepEqual(tables[0].groups[0], { group: 1, points: null, note: "Практиканты", rate: 11.03 });
+  assert.deepEqual(tables[1].groups[3], { group: 4, points: { min: 25, max: 28 }, note: null, rate: 13.88 });
+  assert.equal(tables[2].groups[9].rate, 18.33);
+});
+
+test("estimates net pay from gross", () => {
+  const cases = [
+    // [опции, удержания, на руки, taxMissing]
+    [{ taxRate: 20, unionMember: true }, ["tax", "tyel", "unemployment", "pam"], 706.6, false],
+    [{}, ["tyel", "unemployment"], 919.6, true], // процента нет — налог не вычитаем
+    [{ noTaxCard: true, age: 55 }, ["tax_no_card", "tyel", "unemployment"], 304.6, false],
+    [{ taxRate: 0 }, ["tax", "tyel", "unemployment"], 919.6, false],
+  ];
+  for (const [options, kinds, net, taxMissing] of cases) {
+    const pay = calcNetPay(1000, { ...options, dateIso: "2026-10-19" });
+    assert.deepEqual(pay.lines.map(l => l.kind), kinds, JSON.stringify(options));
+    assert.equal(pay.net, net, JSON.stringify(options));
+    assert.equal(pay.taxMissing, taxMissing, JSON.stringify(options));
+  }
+});
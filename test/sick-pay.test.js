@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.STATE_STORE = "memory";
+process.env.OPENAI_API_KEY ||= "test";
+
+const { calcSickPay, formatSickPay } = await import("../server.js");
+
+const START = "2026-10-05";
+
+test("does not pay the first sick day under 2 years of seniority", () => {
+  const sick = calcSickPay({ startDate: START, dayHours: [8, 8, 0], rate: 13.88, employmentStart: "2025-06-01" });
+
+  assert.equal(sick.firstDayPaid, false);
+  assert.deepEqual(sick.days.map(d => d.status), ["unpaid_first_day", "paid", "not_scheduled"]);
+  assert.equal(sick.total, 111.04);
+  assert.doesNotMatch(formatSickPay(sick, 13.88), /Kela/);
+});
+
+test("pays the first day from 2 years of seniority", () => {
+  const sick = calcSickPay({ startDate: START, dayHours: [8, 8], rate: 13.88, employmentStart: "2024-10-05" });
+
+  assert.equal(sick.seniorityYears, 2);
+  assert.deepEqual(sick.days.map(d => d.status), ["paid", "paid"]);
+  assert.equal(sick.total, 222.08);
+});
+
+test("hands over to Kela after the 9 / 28 / 56 employer days", () => {
+  const cases = [
+    { employmentStart: "2024-01-01", employerDays: 9, kelaFrom: "2026-10-14" },
+    { employmentStart: "2023-10-05", employerDays: 28, kelaFrom: "2026-11-02" },
+    { employmentStart: "2021-10-05", employerDays: 56, kelaFrom: "2026-11-30" },
+  ];
+  for (const { employmentStart, employerDays, kelaFrom } of cases) {
+    const dayHours = Array(employerDays + 1).fill(8);
+    const sick = calcSickPay({ startDate: START, dayHours, rate: 10, employmentStart });
+
+    assert.equal(sick.employerDays, employerDays, employmentStart);
+    assert.equal(sick.kelaFrom, kelaFrom, employmentStart);
+    assert.equal(sick.days[employerDays - 1].status, "paid", employmentStart);
+    assert.equal(sick.days[employerDays].status, "kela", employmentStart);
+    assert.equal(sick.total, employerDays * 80, employmentStart);
+    assert.match(formatSickPay(sick, 10), /Kela sickness allowance \(sairauspäiväraha\) takes over/);
+
+    // ровно в пределах периода работодателя — про Kela не пишем
+    const within = calcSickPay({ startDate: START, dayHours: dayHours.slice(1), rate: 10, employmentStart });
+    assert.doesNotMatch(formatSickPay(within, 10), /Kela/, employmentStart);
+  }
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { startTestServer, readFixture, sign, postWebhook, waitForCalls } from "./helpers.js";
+
+const fixture = readFixture("text-message.json");
+const batchFixture = readFixture("message-batch.json");
+
+let testServer;
+
+before(async () => {
+  testServer = await startTestServer();
+});
+
+after(() => testServer.close());
+
+const post = (body, signature) => postWebhook(testServer.baseUrl, body, signature);
+
+// "menu" и нажатия кнопок бот обрабатывает без ИИ — в тестах достаточно подменить отправку в Graph API
+function mockGraph(t) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  return t.mock.method(axios, "post", async () => ({ data: { messages: [{ id: "wamid.TEST_OUT" }] } }));
+}
+
+test("rejects an unsigned delivery", async t => {
+  const graph = mockGraph(t);
+  const res = await post(fixture);
+  assert.equal(res.status, 403);
+  assert.equal((await waitForCalls(graph, 0)).length, 0);
+});
+
+test("rejects a delivery signed with another secret", async t => {
+  mockGraph(t);
+  const res = await post(fixture, sign(fixture, "wrong-secret"));
+  assert.equal(res.status, 403);
+});
+
+test("rejects a signed body that was changed afterwards", async t => {
+  mockGraph(t);
+  const res = await post(fixture.replace('"menu"', '"valikko"'), sign(fixture));
+  assert.equal(res.status, 403);
+});
+
+test("replies once to a signed delivery and not to its repeat", async t => {
+  const graph = mockGraph(t);
+
+  const first = await post(fixture, sign(fixture));
+  assert.equal(first.status, 200);
+  const sent = await waitForCalls(graph, 1);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, "358401234567");
+  assert.equal(sent[0].interactive.type, "list");
+
+  const repeat = await post(fixture, sign(fixture));
+  assert.equal(repeat.status, 200);
+  assert.equal((await waitForCalls(graph, 2)).length, 1);
+});
+
+test("answers every message of a batched delivery, in order per user", async t => {
+  const graph = mockGraph(t);
+
+  const res = await post(batchFixture, sign(batchFixture));
+  assert.equal(res.status, 200);
+
+  const sent = await waitForCalls(graph, 3);
+  assert.equal(sent.length, 3);
+
+  const rowsOf = payload => payload.interactive.action.sections[0].rows.map(r => r.id);
+  const first = sent.filter(p => p.to === "358401111111");
+  assert.equal(first.length, 2);
+  assert.ok(rowsOf(first[0]).includes("menu:salary")); // "menu"
+  assert.ok(rowsOf(first[1]).includes("chem:limescale:heavy")); // потом нажатие "Chemicals"
+
+  const second = sent.filter(p => p.to === "358402222222");
+  assert.equal(second.length, 1);
+  assert.ok(rowsOf(second[0]).includes("menu:salary"));
+});